@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+// Reference relay for remote probes: probes POST signed messages to a room, PerfScope
+// tabs follow the room over a WebSocket. No dependencies; run it next to the devices.
+//
+//   node bin/perfscope-relay.mjs [--port 8787] [--host 0.0.0.0] [--allow-origin https://app.example ...]
+//
+// Protocol (room = 32 hex chars, derived from the probe token; see src/probe.js):
+//   POST /rooms/<room>          body: one JSON envelope → 204; fanned out to the room's sockets
+//   GET  /rooms/<room>          WebSocket upgrade; receives every envelope as a text frame
+//                               (recent ones replayed first) and may publish envelopes too
+//   GET  /health                → "ok"
+// The relay can't read or forge messages: it doesn't know the token. It forwards each
+// envelope with `from` set to the sender's Origin header so PerfScope can check it, and
+// with --allow-origin it refuses other origins outright (probes and PerfScope tabs alike).
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { parseArgs } from 'node:util';
+
+const USAGE = `Usage: perfscope-relay [options]
+
+Options:
+  --port <n>             port to listen on (default: 8787)
+  --host <addr>          interface to bind (default: 127.0.0.1; 0.0.0.0 to reach other devices)
+  --allow-origin <url>   accept only these origins (repeatable; default: any)
+  -h, --help             show this help
+`;
+
+const ROOM_RE = /^\/rooms\/([0-9a-f]{32})$/;
+const MAX_BODY = 1024 * 1024;
+const BACKLOG = 500; // messages replayed to sockets that join late…
+const BACKLOG_BYTES = 4 * MAX_BODY; // …up to this many bytes per room
+const ROOM_TTL_MS = 10 * 60 * 1000;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function readOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        port: { type: 'string', default: '8787' },
+        host: { type: 'string', default: '127.0.0.1' },
+        'allow-origin': { type: 'string', multiple: true, default: [] },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (err) {
+    process.stderr.write(`perfscope-relay: ${err.message}\n`);
+    process.exit(2);
+  }
+  const { values } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+  }
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    process.stderr.write('perfscope-relay: --port must be 0-65535\n');
+    process.exit(2);
+  }
+  return { port, host: values.host, allowOrigins: new Set(values['allow-origin'].map(o => o.replace(/\/$/, ''))) };
+}
+
+// --- Rooms ---
+
+function createRooms() {
+  const rooms = new Map(); // room → { sockets: Set, backlog: string[], backlogBytes, touched }
+
+  const get = (id) => {
+    let room = rooms.get(id);
+    if (!room) rooms.set(id, room = { sockets: new Set(), backlog: [], backlogBytes: 0, touched: Date.now() });
+    room.touched = Date.now();
+    return room;
+  };
+
+  function publish(id, envelope, from) {
+    const room = get(id);
+    const text = JSON.stringify(from ? { ...envelope, from } : envelope);
+    room.backlog.push(text);
+    room.backlogBytes += text.length;
+    while (room.backlog.length > BACKLOG || room.backlogBytes > BACKLOG_BYTES) {
+      room.backlogBytes -= room.backlog.shift().length;
+    }
+    for (const ws of room.sockets) ws.send(text);
+  }
+
+  function join(id, ws) {
+    const room = get(id);
+    for (const text of room.backlog) ws.send(text);
+    room.sockets.add(ws);
+    return () => room.sockets.delete(ws);
+  }
+
+  // Forget idle rooms nobody follows.
+  setInterval(() => {
+    for (const [id, room] of rooms) {
+      if (!room.sockets.size && Date.now() - room.touched > ROOM_TTL_MS) rooms.delete(id);
+    }
+  }, 60 * 1000).unref();
+
+  return { publish, join };
+}
+
+// Envelopes are opaque here; only their shape is checked.
+function parseEnvelope(text, room) {
+  let env;
+  try {
+    env = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!env || env.__perfscope !== true || env.room !== room || typeof env.body !== 'string' || typeof env.sig !== 'string') return null;
+  return env;
+}
+
+// --- WebSocket (RFC 6455; text frames, ping/pong and close only) ---
+
+function acceptSocket(req, socket, { onText, onClose }) {
+  const key = req.headers['sec-websocket-key'];
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  const frame = (opcode, payload) => {
+    const len = payload.length;
+    const head = len < 126 ? Buffer.from([0x80 | opcode, len])
+      : len < 65536 ? Buffer.from([0x80 | opcode, 126, len >> 8, len & 255])
+      : Buffer.concat([Buffer.from([0x80 | opcode, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(len)); return b; })()]);
+    return Buffer.concat([head, payload]);
+  };
+
+  let closed = false;
+  const ws = {
+    send(text) {
+      if (!closed) socket.write(frame(0x1, Buffer.from(text)));
+    },
+    close(code = 1000) {
+      if (closed) return;
+      closed = true;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code);
+      socket.end(frame(0x8, payload));
+    },
+  };
+
+  let buf = Buffer.alloc(0);
+  let message = [];
+  let messageBytes = 0;
+  socket.on('data', (chunk) => {
+    if (closed) return;
+    buf = Buffer.concat([buf, chunk]);
+    while (buf.length >= 2) {
+      const fin = (buf[0] & 0x80) !== 0;
+      const opcode = buf[0] & 0x0f;
+      const masked = (buf[1] & 0x80) !== 0;
+      let len = buf[1] & 0x7f;
+      let off = 2;
+      if (len === 126) {
+        if (buf.length < 4) return;
+        len = buf.readUInt16BE(2);
+        off = 4;
+      } else if (len === 127) {
+        if (buf.length < 10) return;
+        len = Number(buf.readBigUInt64BE(2));
+        off = 10;
+      }
+      // Clients must mask; oversized messages (counting earlier fragments) end the connection.
+      if (!masked || messageBytes + len > MAX_BODY) return ws.close(1009);
+      if (buf.length < off + 4 + len) return;
+      const mask = buf.subarray(off, off + 4);
+      const payload = Buffer.from(buf.subarray(off + 4, off + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      buf = buf.subarray(off + 4 + len);
+
+      if (opcode === 0x8) return ws.close();
+      if (opcode === 0x9) {
+        socket.write(frame(0xa, payload));
+      } else if (opcode === 0x1 || opcode === 0x0) {
+        message.push(payload);
+        messageBytes += payload.length;
+        if (fin) {
+          const text = Buffer.concat(message).toString('utf8');
+          message = [];
+          messageBytes = 0;
+          onText(text);
+        }
+      }
+    }
+  });
+  socket.on('close', () => {
+    closed = true;
+    onClose();
+  });
+  socket.on('error', () => socket.destroy());
+  return ws;
+}
+
+// --- HTTP ---
+
+function main() {
+  const opts = readOptions(process.argv.slice(2));
+  const rooms = createRooms();
+  const allowed = (origin) => !opts.allowOrigins.size || (origin && opts.allowOrigins.has(origin));
+
+  const cors = (req) => ({
+    'Access-Control-Allow-Origin': req.headers.origin && allowed(req.headers.origin) ? req.headers.origin : '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'content-type',
+    Vary: 'Origin',
+  });
+
+  const server = createServer((req, res) => {
+    const origin = req.headers.origin;
+    const reply = (status, body = '') => {
+      res.writeHead(status, { ...cors(req), 'Content-Type': 'text/plain' });
+      res.end(body);
+    };
+    if (req.method === 'GET' && req.url === '/health') return reply(200, 'ok');
+    if (!allowed(origin)) return reply(403, 'origin not allowed');
+    if (req.method === 'OPTIONS') return reply(204);
+
+    const m = ROOM_RE.exec(req.url);
+    if (!m) return reply(404, 'not found');
+    if (req.method !== 'POST') return reply(405, 'POST messages, or connect with a WebSocket');
+
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY) {
+        reply(413, 'too large');
+        req.destroy();
+      } else {
+        chunks.push(c);
+      }
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY) return;
+      const env = parseEnvelope(Buffer.concat(chunks).toString('utf8'), m[1]);
+      if (!env) return reply(400, 'expected a probe envelope for this room');
+      rooms.publish(m[1], env, origin);
+      reply(204);
+    });
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const m = ROOM_RE.exec(req.url);
+    const origin = req.headers.origin;
+    if (!m || req.headers.upgrade?.toLowerCase() !== 'websocket' || !req.headers['sec-websocket-key'] || !allowed(origin)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    let leave = () => {};
+    const ws = acceptSocket(req, socket, {
+      onText: (text) => {
+        const env = parseEnvelope(text, m[1]);
+        if (env) rooms.publish(m[1], env, origin);
+      },
+      onClose: () => leave(),
+    });
+    leave = rooms.join(m[1], ws);
+  });
+
+  server.listen(opts.port, opts.host, () => {
+    const { port } = server.address();
+    const origins = opts.allowOrigins.size ? [...opts.allowOrigins].join(', ') : 'any origin';
+    process.stdout.write(`perfscope-relay listening on http://${opts.host}:${port} (${origins})\n`);
+  });
+}
+
+main();
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+// Headless PerfScope: analyze exported sessions (JSON, HAR or Chrome traces) in CI.
+//
+//   node bin/perfscope.mjs [options] <session.json ...>
+//
+// Exit codes: 0 all good, 1 a budget failed or too many outliers, 2 bad usage or unreadable input.
+
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { analyzeSession, filterEntries } from '../src/analysis.js';
+import { parseBudgets, formatBudget, formatBudgetValue } from '../src/budgets.js';
+import { CLUSTER_FEATURES, DEFAULT_FEATURES } from '../src/clusters.js';
+import { OUTLIER_METRICS, OUTLIER_GROUPS } from '../src/outliers.js';
+import { readSession, describeReport } from '../src/schema.js';
+import { parseQuery } from '../src/query.js';
+import { isHar, sessionFromHar } from '../src/har.js';
+import { isTrace, sessionFromTrace } from '../src/trace.js';
+
+const USAGE = `Usage: perfscope [options] <session.json ...>
+
+Options:
+  --format <text|json>   report format (default: text)
+  --algorithm <name>     kmeans or dbscan (default: kmeans)
+  -k, --k <n|auto>       k-means clusters, or auto to pick k by silhouette score (default: 5)
+  --features <list>      clustering features (default: ${DEFAULT_FEATURES.join(',')}); one of
+                         ${CLUSTER_FEATURES.map(f => f.key).join(', ')}
+  --min-pts <n>          DBSCAN minimum neighbours of a core point (default: 5)
+  --eps <n>              DBSCAN radius in standard deviations (default: picked from the data)
+  --types <list>         comma-separated entry types to analyze (default: all but mark,measure)
+  --query <q>            only analyze entries matching a filter query, e.g. "host:cdn.example.com dur>200"
+  --budget <rule>        extra budget, e.g. "totalBytes < 1.5MB" (repeatable; added to the session's own)
+  --metric <name>        outlier metric: ${OUTLIER_METRICS.map(m => m.key).join(', ')} or multivariate (default: duration)
+  --group-by <name>      score outliers within groups: ${OUTLIER_GROUPS.map(g => g.key).join(', ')} (default: none)
+  --min-group <n>        skip groups with fewer entries than this (default: 8)
+  --z <n>                robust z-score above which an entry is an outlier (default: 2.5)
+  --max-outliers <n>     fail when a session has more than n outliers (default: no limit)
+  --top <n>              outliers to list per session (default: 12)
+  -h, --help             show this help
+`;
+
+// Same default as the app's type chips.
+const DEFAULT_EXCLUDED_TYPES = new Set(['mark', 'measure']);
+
+function fail(message) {
+  process.stderr.write(`perfscope: ${message}\n`);
+  process.exit(2);
+}
+
+function fmtMs(ms) {
+  if (ms == null || !Number.isFinite(ms)) return '—';
+  if (ms < 1) return `${ms.toFixed(2)}ms`;
+  if (ms < 1000) return `${ms.toFixed(1)}ms`;
+  return `${(ms/1000).toFixed(2)}s`;
+}
+
+function readOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', default: 'text' },
+        algorithm: { type: 'string', default: 'kmeans' },
+        k: { type: 'string', short: 'k', default: '5' },
+        features: { type: 'string' },
+        'min-pts': { type: 'string', default: '5' },
+        eps: { type: 'string' },
+        types: { type: 'string' },
+        query: { type: 'string', default: '' },
+        budget: { type: 'string', multiple: true, default: [] },
+        metric: { type: 'string', default: 'duration' },
+        'group-by': { type: 'string', default: 'none' },
+        'min-group': { type: 'string', default: '8' },
+        z: { type: 'string', default: '2.5' },
+        'max-outliers': { type: 'string' },
+        top: { type: 'string', default: '12' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (err) {
+    fail(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+  }
+  if (!positionals.length) fail('no session files given (see --help)');
+  if (values.format !== 'text' && values.format !== 'json') fail(`unknown --format "${values.format}"`);
+
+  const num = (name, v, min) => {
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < min) fail(`--${name} must be a number >= ${min}`);
+    return n;
+  };
+  if (values.algorithm !== 'kmeans' && values.algorithm !== 'dbscan') fail(`unknown --algorithm "${values.algorithm}"`);
+  const features = values.features ? values.features.split(',').map(f => f.trim()).filter(Boolean) : DEFAULT_FEATURES;
+  const unknown = features.find(f => !CLUSTER_FEATURES.some(c => c.key === f));
+  if (unknown) fail(`unknown feature "${unknown}"`);
+  if (values.metric !== 'multivariate' && !OUTLIER_METRICS.some(m => m.key === values.metric)) fail(`unknown --metric "${values.metric}"`);
+  if (!OUTLIER_GROUPS.some(g => g.key === values['group-by'])) fail(`unknown --group-by "${values['group-by']}"`);
+  const queryError = parseQuery(values.query).errors[0];
+  if (queryError) fail(`bad --query: ${queryError.message} (at "${values.query.slice(queryError.start, queryError.end)}")`);
+  const { budgets, errors } = parseBudgets(values.budget.join('\n'));
+  if (errors.length) fail(`bad --budget: ${errors[0].message}`);
+
+  return {
+    files: positionals,
+    format: values.format,
+    algorithm: values.algorithm,
+    k: values.k === 'auto' ? 'auto' : Math.round(num('k', values.k, 2)),
+    features,
+    minPts: Math.round(num('min-pts', values['min-pts'], 2)),
+    eps: values.eps != null ? num('eps', values.eps, 0) || null : null,
+    types: values.types ? new Set(values.types.split(',').map(t => t.trim()).filter(Boolean)) : null,
+    query: values.query,
+    budgets,
+    outlierMetric: values.metric,
+    groupBy: values['group-by'],
+    minGroup: Math.round(num('min-group', values['min-group'], 3)),
+    threshold: num('z', values.z, 0),
+    maxOutliers: values['max-outliers'] != null ? num('max-outliers', values['max-outliers'], 0) : Infinity,
+    topN: Math.round(num('top', values.top, 0)),
+  };
+}
+
+// Accept the same inputs as the app's Import button. Returns readSession's { session, report }.
+async function loadSession(file) {
+  const text = await readFile(file, 'utf8');
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`not JSON (${err.message})`);
+  }
+  if (isHar(obj)) return readSession(sessionFromHar(obj, { name: basename(file) }));
+  if (isTrace(obj)) return readSession(sessionFromTrace(obj, { name: basename(file) }));
+  return readSession(obj);
+}
+
+function analyze(file, session, opts) {
+  const ofTypes = session.entries.filter(e => (opts.types ? opts.types.has(e.entryType) : !DEFAULT_EXCLUDED_TYPES.has(e.entryType)));
+  const entries = filterEntries(ofTypes, { query: opts.query });
+  const budgets = [...(session.budgets || []), ...opts.budgets];
+  const a = analyzeSession(entries, {
+    all: session.entries,
+    query: opts.query,
+    algorithm: opts.algorithm,
+    k: opts.k,
+    features: opts.features,
+    minPts: opts.minPts,
+    eps: opts.eps,
+    budgets,
+    topN: Number.MAX_SAFE_INTEGER,
+    outlierMetric: opts.outlierMetric,
+    groupBy: opts.groupBy,
+    minGroup: opts.minGroup,
+    threshold: opts.threshold,
+  });
+
+  // `cluster:` terms are settled by the clustering, as in analyzeSession.
+  const shown = parseQuery(opts.query).usesClusters ? filterEntries(entries, { query: opts.query, clusters: a.clusters || new Map() }) : entries;
+  const failedBudgets = a.budgetResults.filter(r => r.pass === false);
+  const tooManyOutliers = a.outliers.length > opts.maxOutliers;
+
+  return {
+    file,
+    name: session.name || '',
+    startedAt: session.startedAt,
+    entries: shown.length,
+    quarantined: session.quarantine.length,
+    stats: a.stats,
+    clusters: a.clusters ? { ...a.clusterInfo, assign: Object.fromEntries(a.clusters) } : null,
+    outlierCount: a.outliers.length,
+    outliers: a.outliers.slice(0, opts.topN).map(o => ({
+      z: o.z,
+      group: o.group,
+      metric: o.metric,
+      by: o.by,
+      value: o.value,
+      id: o.entry.id,
+      entryType: o.entry.entryType,
+      name: o.entry.name,
+      duration: o.entry.duration,
+    })),
+    budgets: a.budgetResults.map(r => ({
+      rule: formatBudget(r.budget),
+      metric: r.budget.metric,
+      label: r.label,
+      actual: r.actual,
+      pass: r.pass,
+      offenders: r.offenders.map(e => e.id),
+      offenderNames: r.offenders.slice(0, 3).map(e => e.name),
+    })),
+    failed: failedBudgets.length > 0 || tooManyOutliers,
+    reasons: [
+      ...failedBudgets.map(r => `budget ${formatBudget(r.budget)}`),
+      ...(tooManyOutliers ? [`${a.outliers.length} outliers > --max-outliers ${opts.maxOutliers}`] : []),
+    ],
+  };
+}
+
+function textReport(r) {
+  const lines = [];
+  const when = Number.isFinite(r.startedAt) ? new Date(r.startedAt).toISOString() : '';
+  lines.push(`${r.file}${r.name ? ` — "${r.name}"` : ''} (${r.entries} entries${r.quarantined ? `, ${r.quarantined} quarantined` : ''}${when ? `, ${when}` : ''})`);
+  lines.push(`  span ${fmtMs(r.stats.maxTime - r.stats.minTime)} • p50 ${fmtMs(r.stats.p50Duration)} • p95 ${fmtMs(r.stats.p95Duration)}`);
+  if (r.clusters) {
+    const c = r.clusters;
+    const how = c.algorithm === 'dbscan' ? `dbscan, eps ${c.eps.toFixed(3)}, ${c.noise} noise`
+      : c.auto ? `auto, silhouette ${c.scores.find(s => s.k === c.k).silhouette.toFixed(3)}` : 'k-means';
+    const unphased = c.unphased ? `; ${c.unphased} without phase timing left out` : '';
+    lines.push(`  clusters (k=${c.k}, ${how}; ${c.features.join(', ')}${unphased}):`);
+    for (const p of r.clusters.profiles.filter(p => p.count)) {
+      lines.push(`    ${p.cluster}: ${p.label.padEnd(36)} n=${String(p.count).padEnd(5)} start ~${fmtMs(p.startTime)}  dur ~${fmtMs(p.duration)}  ${p.host.value}`);
+    }
+  } else {
+    lines.push('  clusters: n/a (too few entries for the chosen clustering)');
+  }
+  lines.push(`  outliers: ${r.outlierCount}`);
+  for (const o of r.outliers) {
+    const kind = OUTLIER_METRICS.find(m => m.key === o.by)?.kind;
+    const value = kind === 'bytes' ? formatBudgetValue('totalBytes', o.value) : fmtMs(o.value);
+    const by = o.metric === 'multivariate' ? `multi·${o.by}` : o.by;
+    lines.push(`    z=${o.z.toFixed(2).padStart(6)}  ${o.group.padEnd(12)} ${by.padEnd(18)} ${o.entryType.padEnd(10)} ${value.padStart(9)}  ${o.name}`);
+  }
+  if (r.budgets.length) {
+    lines.push(`  budgets: ${r.budgets.filter(b => b.pass === false).length} failed / ${r.budgets.length}`);
+    for (const b of r.budgets) {
+      const status = b.pass == null ? 'n/a ' : b.pass ? 'PASS' : 'FAIL';
+      const worst = b.offenderNames.length ? `  (${b.offenderNames.join(', ')}${b.offenders.length > 3 ? ', …' : ''})` : '';
+      lines.push(`    ${status}  ${b.rule}  actual ${formatBudgetValue(b.metric, b.actual)}${worst}`);
+    }
+  }
+  lines.push(`  result: ${r.failed ? `FAIL (${r.reasons.join('; ')})` : 'ok'}`);
+  return lines.join('\n');
+}
+
+async function main() {
+  const opts = readOptions(process.argv.slice(2));
+  const reports = [];
+  for (const file of opts.files) {
+    let loaded;
+    try {
+      loaded = await loadSession(file);
+    } catch (err) {
+      fail(`${file}: ${err.message}`);
+    }
+    // Problems with the input go to stderr so stdout stays parseable.
+    for (const line of describeReport(loaded.report)) process.stderr.write(`perfscope: ${file}: ${line}\n`);
+    reports.push(analyze(file, loaded.session, opts));
+  }
+
+  const failed = reports.some(r => r.failed);
+  if (opts.format === 'json') {
+    process.stdout.write(JSON.stringify({ failed, sessions: reports }, null, 2) + '\n');
+  } else {
+    process.stdout.write(reports.map(textReport).join('\n\n') + '\n');
+  }
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
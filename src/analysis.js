@@ -0,0 +1,86 @@
+// Session analysis shared by the app and the CLI (bin/perfscope.mjs): no DOM, no CDN imports.
+
+import { computeStats } from './stats.js';
+import { findOutliers } from './outliers.js';
+import { clusterEntries } from './clusters.js';
+import { computeVitals } from './vitals.js';
+import { evaluateBudgets } from './budgets.js';
+import { sourceOf } from './probe.js';
+import { parseQuery, matchesQuery } from './query.js';
+
+// The app's type chips, source filters + filter query (query.js). Entries recorded in
+// this tab have no `source`; hide them with LOCAL_SOURCE.
+// `clusters` (id → cluster) settles `cluster:` terms; without it they can't be decided
+// yet and such entries are kept, so clustering can run on them first (see analyzeSession).
+export function filterEntries(entries, { types, query = '', hiddenSources = [], clusters = null } = {}) {
+  const allowed = types ? new Set(types) : null;
+  const hidden = new Set(hiddenSources);
+  const parsed = parseQuery(query);
+  // A query with errors still filters, as a plain substring the way the box always has.
+  const q = parsed.errors.length ? query.trim().toLowerCase() : '';
+  return entries.filter(e => {
+    if (allowed && !allowed.has(e.entryType)) return false;
+    if (hidden.size && hidden.has(sourceOf(e))) return false;
+    if (q) return (e.name || '').toLowerCase().includes(q);
+    return matchesQuery(parsed, e, { clusters }) !== false;
+  });
+}
+
+// `entries` is what the user is looking at (type chips / filter applied); vitals and
+// budgets describe the whole page, so they use `all`. Clustering options
+// (algorithm, k, features, minPts, eps) are those of clusterEntries; outlier options
+// (outlierMetric, groupBy, threshold, minGroup, topN) those of findOutliers.
+export function analyzeSession(entries, {
+  all = entries, query = '', algorithm, k, features, minPts, eps,
+  outlierMetric, groupBy, threshold, minGroup, topN = 12, budgets = [],
+} = {}) {
+  const c = clusterEntries(entries, { algorithm, k, features, minPts, eps });
+  // `cluster:` terms in the query can only be decided now; stats and outliers follow them.
+  const shown = parseQuery(query).usesClusters ? filterEntries(entries, { query, clusters: c?.assign || new Map() }) : entries;
+  return {
+    stats: computeStats(shown),
+    vitals: computeVitals(all),
+    // Entry id → cluster index (-1 = DBSCAN noise), plus how it was clustered and a profile per cluster.
+    clusters: c ? c.assign : null,
+    clusterInfo: c && (({ assign, ...info }) => info)(c),
+    outliers: findOutliers(shown, { metric: outlierMetric, groupBy, threshold, minGroup, topN, clusters: c?.assign }),
+    budgetResults: evaluateBudgets(budgets, all),
+  };
+}
+
+// Results reference entries; across a worker boundary they would arrive as copies
+// (and budget offenders can be most of the session), so only ids cross it.
+const idOf = (e) => e.id;
+
+export function dehydrateAnalysis(r) {
+  const v = r.vitals;
+  return {
+    ...r,
+    vitals: {
+      lcp: v.lcp && { ...v.lcp, entry: idOf(v.lcp.entry) },
+      cls: v.cls && { ...v.cls, entries: v.cls.entries.map(idOf) },
+      inp: v.inp && { ...v.inp, entry: idOf(v.inp.entry) },
+      fid: v.fid && { ...v.fid, entry: idOf(v.fid.entry) },
+    },
+    outliers: r.outliers.map(o => ({ ...o, entry: idOf(o.entry) })),
+    budgetResults: r.budgetResults.map(b => ({ ...b, offenders: b.offenders.map(idOf) })),
+  };
+}
+
+// Inverse of dehydrateAnalysis against the caller's own entry objects.
+export function hydrateAnalysis(r, entries) {
+  const byId = new Map(entries.map(e => [e.id, e]));
+  const get = (id) => byId.get(id);
+  const v = r.vitals;
+  return {
+    ...r,
+    vitals: {
+      lcp: v.lcp && { ...v.lcp, entry: get(v.lcp.entry) },
+      cls: v.cls && { ...v.cls, entries: v.cls.entries.map(get) },
+      inp: v.inp && { ...v.inp, entry: get(v.inp.entry) },
+      fid: v.fid && { ...v.fid, entry: get(v.fid.entry) },
+    },
+    outliers: r.outliers.map(o => ({ ...o, entry: get(o.entry) })),
+    budgetResults: r.budgetResults.map(b => ({ ...b, offenders: b.offenders.map(get) })),
+  };
+}
@@ -0,0 +1,19 @@
+// Module worker running analyzeSession off the main thread; driven by analyzer.js.
+// It keeps its own copy of the session's entries, which the page keeps current with
+// 'reset' (new session) and 'append' (newly recorded entries) messages.
+
+import { analyzeSession, filterEntries, dehydrateAnalysis } from './analysis.js';
+
+let entries = [];
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'reset') {
+    entries = data.entries;
+  } else if (data.type === 'append') {
+    for (const e of data.entries) entries.push(e);
+  } else if (data.type === 'analyze') {
+    const { jobId, params } = data;
+    const result = analyzeSession(filterEntries(entries, params), { ...params, all: entries });
+    self.postMessage({ jobId, result: dehydrateAnalysis(result) });
+  }
+};
@@ -0,0 +1,104 @@
+// Runs session analysis in a Web Worker (analysis.worker.js) so clustering and outlier
+// scoring never block the page being measured.
+//
+// - Entries are shipped incrementally: a new entries array resets the worker's copy,
+//   a longer one only sends the new tail.
+// - One job runs at a time. Calls made meanwhile collapse into a single follow-up job
+//   with the latest data.
+// - If the parameters (types, filter, k, budgets) change while a job runs, that job is
+//   stale: the worker (kept alive, with its copy of the entries) finishes it, but the
+//   result is dropped and the follow-up job runs instead.
+// - Without Worker support (or if the worker fails to load) the same analysis runs on
+//   the main thread, still asynchronously.
+
+import { analyzeSession, filterEntries, hydrateAnalysis } from './analysis.js';
+
+export function createAnalyzer({ onResult, onBusy = () => {} } = {}) {
+  let worker = null;
+  let useWorker = typeof Worker !== 'undefined';
+  let synced = null; // { entries, count } the worker has seen
+  let running = null; // { jobId, key, entries }
+  let queued = null; // { entries, params, key }
+  let jobSeq = 0;
+
+  function spawn() {
+    try {
+      worker = new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' });
+    } catch {
+      useWorker = false;
+      return;
+    }
+    worker.onmessage = ({ data }) => {
+      if (!running || data.jobId !== running.jobId) return;
+      const job = running;
+      running = null;
+      finish(job.stale ? null : hydrateAnalysis(data.result, job.entries), job);
+    };
+    worker.onerror = (ev) => {
+      ev.preventDefault?.();
+      console.warn('analysis worker failed; analyzing on the main thread', ev.message || ev);
+      const job = running;
+      worker?.terminate();
+      worker = null;
+      synced = null;
+      useWorker = false;
+      running = null;
+      if (job) start(job.entries, job.params, job.key);
+    };
+  }
+
+  function sync(entries) {
+    if (!synced || synced.entries !== entries || entries.length < synced.count) {
+      worker.postMessage({ type: 'reset', entries });
+    } else if (entries.length > synced.count) {
+      worker.postMessage({ type: 'append', entries: entries.slice(synced.count) });
+    }
+    synced = { entries, count: entries.length };
+  }
+
+  function start(entries, params, key) {
+    const jobId = ++jobSeq;
+    running = { jobId, key, entries, params };
+    onBusy(true);
+
+    if (useWorker && !worker) spawn();
+    if (useWorker) {
+      sync(entries);
+      worker.postMessage({ type: 'analyze', jobId, params });
+      return;
+    }
+
+    setTimeout(() => {
+      if (!running || running.jobId !== jobId) return;
+      const job = running;
+      running = null;
+      finish(job.stale ? null : analyzeSession(filterEntries(entries, params), { ...params, all: entries }), job);
+    }, 0);
+  }
+
+  function finish(result, job) {
+    if (result) onResult(result, job.params);
+    if (queued) {
+      const next = queued;
+      queued = null;
+      start(next.entries, next.params, next.key);
+    } else {
+      onBusy(false);
+    }
+  }
+
+  // params: filterEntries' { types, query } plus analyzeSession's options (clustering, outlier
+  // scoring, budgets)
+  function run(entries, params) {
+    const key = JSON.stringify(params);
+    if (running) {
+      // Stale: nobody wants this result any more.
+      if (running.key !== key) running.stale = true;
+      queued = { entries, params, key };
+      return;
+    }
+    start(entries, params, key);
+  }
+
+  return { run, get busy() { return !!running; } };
+}
@@ -1,12 +1,32 @@
 import { scaleLinear } from 'https://cdn.jsdelivr.net/npm/d3-scale@4/+esm';
 import { schemeTableau10 } from 'https://cdn.jsdelivr.net/npm/d3-scale-chromatic@3/+esm';
-import { compressToEncodedURIComponent, decompressFromEncodedURIComponent } from 'https://cdn.jsdelivr.net/npm/lz-string@1.5.0/+esm';
-import * as idb from 'https://cdn.jsdelivr.net/npm/idb-keyval@6/+esm';
+import { decompressFromEncodedURIComponent } from 'https://cdn.jsdelivr.net/npm/lz-string@1.5.0/+esm';
 
 import { createRecorder } from './recorder.js';
-import { computeStats, robustZOutliers, kmeans, normalizeRows } from './stats.js';
-import { drawWaterfall, pickAt, paletteForClusters } from './waterfall.js';
-import { encodeSession, decodeSession } from './share.js';
+import { buildProbeSnippet, createProbeHub, sourceOf, roomId, LOCAL_SOURCE } from './probe.js';
+import { listenWindow, listenBroadcast, connectRelay } from './transports.js';
+import { analyzeSession, filterEntries } from './analysis.js';
+import { parseQuery, queryValues, suggestQuery } from './query.js';
+import { createAnalyzer } from './analyzer.js';
+import { CLUSTER_FEATURES, DEFAULT_FEATURES } from './clusters.js';
+import { OUTLIER_METRICS, OUTLIER_GROUPS } from './outliers.js';
+import { drawWaterfall, drawWaterfallLanes, pickAt, pickRectAt, paletteForClusters, serverTimingColor, categoryColor, NOISE_COLOR, drawTimeSeries, createView, resetView, zoomView, focusView, bindWaterfallNav, PHASE_COLORS, EXPORT_MAX_ROWS } from './waterfall.js';
+import { SESSION_VERSION, readSession, describeReport } from './schema.js';
+import { encodePermalink, decodePermalink, isPermalink, PERMALINK_PRECISIONS, PERMALINK_LIMITS } from './permalink.js';
+import { resourcePhases, PHASES, PHASE_SEGMENTS, isTimingRestricted } from './timing.js';
+import { diffSessions, DIFF_METRICS } from './diff.js';
+import { isHar, sessionFromHar, sessionToHar } from './har.js';
+import { isTrace, sessionFromTrace } from './trace.js';
+import { interactionPhases } from './vitals.js';
+import { serverTimingSummary } from './servertiming.js';
+import { seriesAt } from './timeseries.js';
+import { MILESTONE_GROUPS, collectMilestones, relativeTo } from './milestones.js';
+import { parseBudgets, formatBudget, formatBudgetValue, firstPartyHost } from './budgets.js';
+import { registrableDomain } from './psl.js';
+import { BREAKDOWN_GROUPS, DEFAULT_VENDOR_MAP, parseVendorMap, originBreakdown, groupOf } from './thirdparty.js';
+import { createLibrary, newSessionId, defaultSessionName, parseTags } from './library.js';
+import { createSvgCanvas } from './svg.js';
+import { buildReport, isReport, sessionFromReport } from './report.js';
 
 const el = (id) => document.getElementById(id);
 
@@ -16,26 +36,94 @@ const ui = {
   btnSnapshot: el('btnSnapshot'),
   btnClear: el('btnClear'),
   chips: el('chips'),
+  milestoneChips: el('milestoneChips'),
   kRange: el('kRange'),
   kLabel: el('kLabel'),
+  kAuto: el('kAuto'),
+  clusterAlgo: el('clusterAlgo'),
+  kmeansOpts: el('kmeansOpts'),
+  dbscanOpts: el('dbscanOpts'),
+  dbMinPts: el('dbMinPts'),
+  dbEps: el('dbEps'),
+  clusterSummary: el('clusterSummary'),
+  featureChips: el('featureChips'),
+  colorMode: el('colorMode'),
   filterText: el('filterText'),
+  filterSuggest: el('filterSuggest'),
+  filterError: el('filterError'),
+  savedFilters: el('savedFilters'),
+  btnSaveFilter: el('btnSaveFilter'),
+  btnDeleteFilter: el('btnDeleteFilter'),
   btnPermalink: el('btnPermalink'),
   btnExport: el('btnExport'),
+  btnExportHar: el('btnExportHar'),
+  btnExportSvg: el('btnExportSvg'),
+  btnExportPng: el('btnExportPng'),
+  btnReport: el('btnReport'),
   btnImport: el('btnImport'),
   fileImport: el('fileImport'),
   notes: el('notes'),
+  sessionName: el('sessionName'),
+  sessionTags: el('sessionTags'),
+  libraryFilter: el('libraryFilter'),
+  libraryList: el('libraryList').querySelector('tbody'),
+  libraryQuota: el('libraryQuota'),
+  diffA: el('diffA'),
+  diffB: el('diffB'),
+  btnDiff: el('btnDiff'),
+  diffShow: el('diffShow'),
+  diffSummary: el('diffSummary'),
+  diffWrap: el('diffWrap'),
+  diffWf: el('diffWf'),
+  diffOverlay: el('diffOverlay'),
+  diffTable: el('diffTable').querySelector('tbody'),
   btnNewProbe: el('btnNewProbe'),
   btnCopyProbe: el('btnCopyProbe'),
   probeSnippet: el('probeSnippet'),
+  probeTransport: el('probeTransport'),
+  relayUrl: el('relayUrl'),
+  relayStatus: el('relayStatus'),
+  sourceChips: el('sourceChips'),
+  sourceLanes: el('sourceLanes'),
   wf: el('wf'),
   overlay: el('overlay'),
+  series: el('series'),
+  seriesOverlay: el('seriesOverlay'),
   legend: el('legend'),
   outliers: el('outliers').querySelector('tbody'),
+  outlierMetric: el('outlierMetric'),
+  outlierGroup: el('outlierGroup'),
+  outlierThreshold: el('outlierThreshold'),
+  outlierMinGroup: el('outlierMinGroup'),
+  serverTiming: el('serverTiming').querySelector('tbody'),
+  budgets: el('budgets'),
+  budgetErrors: el('budgetErrors'),
+  budgetTable: el('budgetTable').querySelector('tbody'),
+  originGroup: el('originGroup'),
+  firstParty: el('firstParty'),
+  origins: el('origins').querySelector('tbody'),
+  vendorMap: el('vendorMap'),
+  vendorErrors: el('vendorErrors'),
   selectedKVs: el('selectedKVs'),
+  selectedScripts: el('selectedScripts'),
+  annotationList: el('annotationList').querySelector('tbody'),
+  annotationHint: el('annotationHint'),
+  btnAnnotateEntry: el('btnAnnotateEntry'),
+  btnAnnotateRange: el('btnAnnotateRange'),
   diag: el('diag'),
+  permalinkPrecision: el('permalinkPrecision'),
+  permalinkLimit: el('permalinkLimit'),
+  permalinkLean: el('permalinkLean'),
+  permalinkSize: el('permalinkSize'),
+  importPanel: el('importPanel'),
+  importSummary: el('importSummary'),
+  quarantine: el('quarantine').querySelector('tbody'),
+  btnDropQuarantine: el('btnDropQuarantine'),
+  vitals: el('vitals'),
   liveDot: el('liveDot'),
   statusText: el('statusText'),
   entryCount: el('entryCount'),
+  busy: el('busy'),
 };
 
 const ENTRY_TYPES = [
@@ -43,30 +131,76 @@ const ENTRY_TYPES = [
   { key: 'resource', label: 'resource' },
   { key: 'paint', label: 'paint' },
   { key: 'longtask', label: 'longtask' },
+  { key: 'long-animation-frame', label: 'loaf' },
   { key: 'mark', label: 'mark' },
   { key: 'measure', label: 'measure' },
+  { key: 'largest-contentful-paint', label: 'lcp' },
+  { key: 'layout-shift', label: 'layout-shift' },
+  { key: 'event', label: 'event' },
+  { key: 'first-input', label: 'first-input' },
 ];
 
 let state = {
   recording: false,
-  enabledTypes: new Set(['navigation', 'resource', 'paint', 'longtask']),
+  enabledTypes: new Set(['navigation', 'resource', 'paint', 'longtask', 'long-animation-frame', 'largest-contentful-paint', 'layout-shift', 'event', 'first-input']),
   k: Number(ui.kRange.value),
-  filter: '',
+  kAuto: ui.kAuto.checked, // pick k by silhouette score instead of the slider
+  clusterAlgo: ui.clusterAlgo.value, // 'kmeans' | 'dbscan'
+  features: new Set(DEFAULT_FEATURES),
+  minPts: 5,
+  eps: null, // DBSCAN radius in standard deviations; null = from the data
+  outlierMetric: 'duration', // an OUTLIER_METRICS key or 'multivariate'
+  groupBy: 'none',
+  threshold: 2.5,
+  minGroup: 8,
+  colorMode: ui.colorMode.value, // 'cluster' | 'phase' | 'vendor'
+  originGroup: 'domain', // a BREAKDOWN_GROUPS key
+  vendors: parseVendorMap(DEFAULT_VENDOR_MAP).rules, // from the editable vendor map
+  milestoneGroups: new Set(MILESTONE_GROUPS.map(g => g.key)),
+  filter: '', // query.js syntax
+  savedFilters: [], // [{ name, query }], saved in this browser
   notes: '',
   entries: [],
   selectedId: null,
-  clusters: null,
-  stats: null,
-  outliers: [],
+  budgets: [], // [{ metric, op, limit, over? }], saved with the session
+  annotations: [], // [{ id, text, entryId } | { id, text, t0, t1 }], saved with the session
+  quarantine: [], // [{ index, entry, errors }] entries that failed validation on load; saved with the session
+  importReport: null, // readSession report of the last import or permalink
+  excerpt: null, // set when the session came from a truncated permalink: a summary of everything it left out
+
+  // Analysis output ({ stats, vitals, clusters, outliers, budgetResults }), filled in by the analyzer.
+  ...analyzeSession([]),
   sessionId: null,
+  sessionName: '',
+  tags: [],
   startedAt: Date.now(),
+  // Wall-clock time of the entries' zero (see schema.js); null when unknown.
+  timeOrigin: null,
 
-  // Remote probe: a snippet you paste into another tab to stream entries here.
+  // Waterfall zoom/pan/scroll ({ t0, t1, scrollRow }); reset when another session opens.
+  view: createView(),
+
+  // Session comparison: { a, b, result } once "Compare" ran.
+  diff: null,
+  diffView: createView(),
+
+  // Permalink encoding (see permalink.js); saved in this browser.
+  permalink: { precision: 0.1, limit: 8000, lean: false },
+
+  // Remote probe: a snippet you paste into other tabs to stream entries here.
   probeToken: null,
-  probeConnected: false,
-  probeSource: null,
+  probeTransport: 'auto', // see PROBE_TRANSPORTS
+  relayUrl: '', // relay the snippet posts to and this tab follows; '' = none
+  hiddenSources: new Set(), // source ids filtered out of the waterfall and analysis
+  sourceLanes: false, // one waterfall lane per source
 };
 
+// Latest waterfall draws (pick rects + axis info) for picking and navigation redraws.
+let wfPick = null;
+let wfEntries = [];
+let seriesPick = null;
+let diffPick = null;
+
 function setStatus(text, live) {
   ui.statusText.textContent = text;
   ui.liveDot.classList.toggle('live', !!live);
@@ -78,89 +212,28 @@ function randToken(){
   return Array.from(a).map(b=>b.toString(16).padStart(2,'0')).join('');
 }
 
-function buildProbeSnippet(){
-  const token = state.probeToken || (state.probeToken = randToken());
-  // Use window.open with a stable name so it reuses the existing PerfScope tab.
-  const perfscopeUrl = location.origin + location.pathname;
-  const types = ['navigation','resource','paint','longtask','mark','measure'];
-
-  return `(() => {
-  const PERF_SCOPE = ${JSON.stringify(perfscopeUrl)};
-  const TOKEN = ${JSON.stringify(token)};
-  const ENTRY_TYPES = ${JSON.stringify(types)};
-
-  const win = window.open(PERF_SCOPE, 'perfscope');
-  if (!win) {
-    console.warn('[PerfScope probe] Popup blocked. Open PerfScope first, then re-run this snippet.');
-    return;
-  }
-
-  const send = (kind, payload={}) => {
-    win.postMessage({ __perfscope: true, token: TOKEN, kind, payload }, '*');
-  };
-
-  const pick = (obj, keys) => {
-    const out = {};
-    for (const k of keys) {
-      if (obj[k] != null) out[k] = obj[k];
-    }
-    return out;
-  };
-
-  const serialize = (e) => {
-    const base = {
-      name: e.name,
-      entryType: e.entryType,
-      startTime: e.startTime,
-      duration: e.duration,
-    };
-    // ResourceTiming / NavigationTiming extras (when present)
-    Object.assign(base, pick(e, [
-      'initiatorType','nextHopProtocol','transferSize','encodedBodySize','decodedBodySize','renderBlockingStatus',
-      'domainLookupStart','domainLookupEnd','connectStart','secureConnectionStart','connectEnd',
-      'requestStart','responseStart','responseEnd'
-    ]));
-    return base;
-  };
-
-  const buf = [];
-  let flushTimer = null;
-  const flush = () => {
-    flushTimer = null;
-    if (!buf.length) return;
-    const batch = buf.splice(0, buf.length);
-    send('entries', { timeOrigin: performance.timeOrigin, entries: batch });
-  };
-  const enqueue = (list) => {
-    for (const e of list) buf.push(serialize(e));
-    if (!flushTimer) flushTimer = setTimeout(flush, 250);
-  };
-
-  send('hello', { href: location.href, ua: navigator.userAgent, timeOrigin: performance.timeOrigin });
-
-  // Seed with existing buffered entries when available.
-  try {
-    for (const t of ENTRY_TYPES) {
-      const existing = performance.getEntriesByType?.(t);
-      if (existing && existing.length) enqueue(existing);
-    }
-  } catch {}
-
-  const observers = [];
-  for (const t of ENTRY_TYPES) {
-    try {
-      const po = new PerformanceObserver((list) => enqueue(list.getEntries()));
-      po.observe({ type: t, buffered: true });
-      observers.push(po);
-    } catch {}
-  }
-
-  console.log('[PerfScope probe] Streaming started. Keep this tab open; stop by reloading the page or closing this tab.');
-})();`;
+function refreshProbeUI(){
+  ui.probeSnippet.value = buildProbeSnippet({
+    url: location.origin + location.pathname,
+    token: state.probeToken,
+    transport: state.probeTransport,
+    relayUrl: state.relayUrl,
+  });
 }
 
-function refreshProbeUI(){
-  ui.probeSnippet.value = buildProbeSnippet();
+// Follow the relay room of the current token, if a relay is configured.
+let stopRelay = null;
+function followRelay() {
+  stopRelay?.();
+  stopRelay = null;
+  ui.relayStatus.textContent = '';
+  if (!state.relayUrl) return;
+  stopRelay = connectRelay(state.relayUrl, roomId(state.probeToken), {
+    onMessage: (env, from) => probes.receive(env, from),
+    onStatus: (status, detail) => {
+      ui.relayStatus.textContent = `• ${status}${detail ? ` (${detail})` : ''}`;
+    },
+  });
 }
 
 function renderChips() {
@@ -179,47 +252,241 @@ function renderChips() {
   }
 }
 
+function renderFeatureChips() {
+  ui.featureChips.innerHTML = '';
+  for (const f of CLUSTER_FEATURES) {
+    const b = document.createElement('button');
+    b.className = 'chip ' + (state.features.has(f.key) ? 'on' : '');
+    b.textContent = f.label;
+    b.title = f.category ? 'one-hot: one column per distinct value'
+      : f.phase ? 'resource/navigation entries with phase timing only (not TAO-restricted ones)'
+      : f.network ? 'resource/navigation entries only' : 'any entry type';
+    b.addEventListener('click', () => {
+      if (state.features.has(f.key)) state.features.delete(f.key);
+      else state.features.add(f.key);
+      renderFeatureChips();
+      recompute();
+    });
+    ui.featureChips.appendChild(b);
+  }
+}
+
+function renderMilestoneChips() {
+  ui.milestoneChips.innerHTML = '';
+  for (const g of MILESTONE_GROUPS) {
+    const b = document.createElement('button');
+    b.className = 'chip ' + (state.milestoneGroups.has(g.key) ? 'on' : '');
+    b.innerHTML = `<span class="swatch" style="background:${g.color}"></span>${g.label}`;
+    b.addEventListener('click', () => {
+      if (state.milestoneGroups.has(g.key)) state.milestoneGroups.delete(g.key);
+      else state.milestoneGroups.add(g.key);
+      renderMilestoneChips();
+      render(filteredEntries());
+    });
+    ui.milestoneChips.appendChild(b);
+  }
+}
+
+// This tab plus every remote probe, with entry counts and connection state.
+function sourceList() {
+  const local = state.entries.filter(e => !e.source).length;
+  const remote = probes.sources.map(s => ({ ...s, count: state.entries.filter(e => e.source === s.id).length }));
+  return [
+    ...(local || !remote.length ? [{ id: LOCAL_SOURCE, label: 'this tab', url: location.href, count: local, status: state.recording ? 'connected' : 'local' }] : []),
+    ...remote,
+  ];
+}
+
+function renderSources() {
+  ui.sourceChips.innerHTML = '';
+  for (const s of sourceList()) {
+    const b = document.createElement('button');
+    b.className = 'chip ' + (state.hiddenSources.has(s.id) ? '' : 'on');
+    b.title = `${s.url || ''}\n${s.status}`;
+    b.innerHTML = `<span class="dot ${s.status === 'connected' ? 'live' : ''}" style="display:inline-block; margin-right:6px"></span>${escapeHtml(shorten(s.label, 28))} (${s.count})${s.status === 'lost' ? ' • lost' : s.status === 'closed' ? ' • closed' : ''}`;
+    b.addEventListener('click', () => {
+      if (state.hiddenSources.has(s.id)) state.hiddenSources.delete(s.id);
+      else state.hiddenSources.add(s.id);
+      renderSources();
+      recompute();
+    });
+    ui.sourceChips.appendChild(b);
+  }
+}
+
+// One lane per source in the visible entries, labeled like the source chips.
+function sourceLanes(entries) {
+  const labels = new Map(sourceList().map(s => [s.id, s.label]));
+  const lanes = new Map();
+  for (const e of entries) {
+    const id = sourceOf(e);
+    if (!lanes.has(id)) lanes.set(id, { label: labels.get(id) || id, entries: [] });
+    lanes.get(id).entries.push(e);
+  }
+  return [...lanes.values()];
+}
+
+function analysisParams() {
+  return {
+    types: [...state.enabledTypes].sort(),
+    query: state.filter,
+    hiddenSources: [...state.hiddenSources].sort(),
+    algorithm: state.clusterAlgo,
+    k: state.kAuto ? 'auto' : state.k,
+    features: [...state.features].sort(),
+    minPts: state.minPts,
+    eps: state.eps,
+    outlierMetric: state.outlierMetric,
+    groupBy: state.groupBy,
+    threshold: state.threshold,
+    minGroup: state.minGroup,
+    budgets: state.budgets,
+  };
+}
+
+// The analysis already settled `cluster:` terms; the same clusters settle them here.
 function filteredEntries() {
-  const q = state.filter.trim().toLowerCase();
-  return state.entries.filter(e => {
-    if (!state.enabledTypes.has(e.entryType)) return false;
-    if (!q) return true;
-    return (e.name || '').toLowerCase().includes(q);
+  return filterEntries(state.entries, { ...analysisParams(), clusters: state.clusters || new Map() });
+}
+
+function applyFilter() {
+  state.filter = ui.filterText.value;
+  renderFilterError();
+  syncSavedFilter();
+  recompute();
+}
+
+// The first query error under the filter box, with the offending part marked.
+function renderFilterError() {
+  const { errors } = parseQuery(state.filter);
+  ui.filterText.classList.toggle('invalid', errors.length > 0);
+  ui.filterError.hidden = !errors.length;
+  if (!errors.length) return;
+  const text = state.filter;
+  const { message, start } = errors[0];
+  const end = Math.max(errors[0].end, start + 1);
+  const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+  ui.filterError.innerHTML = `${escapeHtml(text.slice(0, start))}<mark class="err">${escapeHtml(text.slice(start, end)) || ' '}</mark>${escapeHtml(text.slice(end))}\n`
+    + `<span class="worse">${escapeHtml(message)}${more}</span>; matching it as plain text for now`;
+}
+
+// Autocomplete for the filter box: { from, to, items, index } while the list is open.
+let suggestion = null;
+let valuesCache = null;
+
+function filterValues() {
+  const key = [state.entries, state.entries.length, state.clusters];
+  if (!valuesCache || valuesCache.key.some((k, i) => k !== key[i])) {
+    valuesCache = { key, values: queryValues(state.entries, state.clusters) };
+  }
+  return valuesCache.values;
+}
+
+function updateSuggestions() {
+  const input = ui.filterText;
+  const s = suggestQuery(input.value, input.selectionStart ?? input.value.length, filterValues());
+  suggestion = s.items.length ? { ...s, index: 0 } : null;
+  renderSuggestions();
+}
+
+function renderSuggestions() {
+  ui.filterSuggest.hidden = !suggestion;
+  ui.filterSuggest.innerHTML = '';
+  if (!suggestion) return;
+  suggestion.items.forEach((item, i) => {
+    const div = document.createElement('div');
+    if (i === suggestion.index) div.className = 'on';
+    div.innerHTML = `<span class="mono">${escapeHtml(item.text)}</span><span class="t">${escapeHtml(item.hint)}</span>`;
+    // mousedown, not click: the input would blur and close the list first.
+    div.onmousedown = (ev) => {
+      ev.preventDefault();
+      acceptSuggestion(i);
+    };
+    ui.filterSuggest.appendChild(div);
   });
 }
 
+function acceptSuggestion(i) {
+  const { from, to, items } = suggestion;
+  const v = ui.filterText.value;
+  ui.filterText.value = v.slice(0, from) + items[i].text + v.slice(to);
+  const caret = from + items[i].text.length;
+  ui.filterText.setSelectionRange(caret, caret);
+  applyFilter();
+  updateSuggestions();
+}
+
+function renderSavedFilters() {
+  ui.savedFilters.innerHTML = '<option value="">saved filters…</option>'
+    + state.savedFilters.map((f, i) => `<option value="${i}">${escapeHtml(f.name)}</option>`).join('');
+  syncSavedFilter();
+}
+
+// Select the saved filter the box currently holds, if any.
+function syncSavedFilter() {
+  const i = state.savedFilters.findIndex(f => f.query === state.filter);
+  ui.savedFilters.value = i >= 0 ? String(i) : '';
+  ui.btnDeleteFilter.disabled = i < 0;
+}
+
+const saveFilters = () => library.setSetting('filters', state.savedFilters);
+
+// Only flag jobs that take long enough to notice.
+let busyTimer = null;
+function showBusy(busy) {
+  clearTimeout(busyTimer);
+  if (busy) busyTimer = setTimeout(() => { ui.busy.hidden = false; }, 150);
+  else ui.busy.hidden = true;
+}
+
+// Analysis runs in a worker; the UI redraws when its result arrives.
+// Remote probes append entries (already on this tab's clock) to the working session.
+let connectedProbes = 0;
+const probes = createProbeHub({
+  clockOrigin: performance.timeOrigin,
+  onEntries: (entries) => {
+    if (!state.entries.length) state.timeOrigin = performance.timeOrigin;
+    state.entries.push(...entries);
+    recompute();
+  },
+  onChange: () => {
+    renderSources();
+    const n = probes.sources.filter(s => s.connected).length;
+    if (n !== connectedProbes && !state.recording) {
+      setStatus(n ? `${n} remote probe${n === 1 ? '' : 's'} connected` : 'remote probes disconnected', n > 0);
+    }
+    connectedProbes = n;
+  },
+});
+
+const analyzer = createAnalyzer({
+  onResult: (result) => {
+    Object.assign(state, result);
+    render(filteredEntries());
+    persistDebounced();
+  },
+  onBusy: showBusy,
+});
+
 function recompute() {
-  const entries = filteredEntries();
-
-  state.stats = computeStats(entries);
-
-  // Vectorize entries for k-means on [startTime, duration, transferSize/encodedBodySize]
-  const rows = entries
-    .filter(e => e.entryType === 'resource' || e.entryType === 'navigation')
-    .map(e => ({
-      id: e.id,
-      x: e.startTime,
-      y: e.duration,
-      z: (e.transferSize ?? e.encodedBodySize ?? 0),
-      type: e.entryType,
-    }));
-
-  let clusters = null;
-  if (rows.length >= state.k) {
-    const X = normalizeRows(rows.map(r => [r.x, r.y, Math.log10(1 + r.z)]));
-    const km = kmeans(X, state.k, { seed: 1337, iters: 30 });
-    clusters = new Map();
-    rows.forEach((r, i) => clusters.set(r.id, km.assign[i]));
-  }
-  state.clusters = clusters;
-
-  const out = robustZOutliers(entries, { topN: 12 });
-  state.outliers = out;
-
-  render(entries);
-  persistDebounced();
+  analyzer.run(state.entries, analysisParams());
+  estimatePermalink();
 }
 
+const recomputeWhenQuiet = debounce(recompute, 300);
+
+const permalinkOptions = () => ({ ...state.permalink, prefix: location.origin + location.pathname });
+
+// Size of the full permalink, shown before copying.
+const estimatePermalink = debounce(async () => {
+  const link = await encodePermalink(currentSession(), { ...permalinkOptions(), estimate: true });
+  const chars = link.length.toLocaleString();
+  ui.permalinkSize.textContent = link.fits
+    ? `≈ ${chars} chars`
+    : `≈ ${chars} chars: over the ${state.permalink.limit.toLocaleString()} limit, so the link will hold only the top entries plus a summary`;
+  ui.permalinkSize.classList.toggle('worse', !link.fits);
+}, 1000);
+
 function fmtMs(ms) {
   if (ms == null || !Number.isFinite(ms)) return '—';
   if (ms < 1) return `${ms.toFixed(2)}ms`;
@@ -238,10 +505,11 @@ function fmtBytes(n) {
 function renderSelected(entries) {
   const e = entries.find(x => x.id === state.selectedId);
   ui.selectedKVs.innerHTML = '';
+  renderScriptBreakdown(e);
   const add = (k, v) => {
     const dk = document.createElement('div'); dk.textContent = k;
     const dv = document.createElement('div');
-    dv.innerHTML = `<code>${String(v)}</code>`;
+    dv.innerHTML = `<code>${escapeHtml(String(v))}</code>`;
     ui.selectedKVs.append(dk, dv);
   };
   if (!e) {
@@ -258,32 +526,133 @@ function renderSelected(entries) {
   if (e.encodedBodySize != null) add('encodedBodySize', fmtBytes(e.encodedBodySize));
   if (e.decodedBodySize != null) add('decodedBodySize', fmtBytes(e.decodedBodySize));
   if (e.renderBlockingStatus) add('renderBlockingStatus', e.renderBlockingStatus);
+  if (isTimingRestricted(e)) add('timing', 'restricted: no Timing-Allow-Origin, phases zeroed');
+  for (const a of state.annotations) if (a.entryId === e.id) add('note', a.text);
 
   // Resource timing breakdown (when available and same-origin or TAO-enabled)
-  if (e.entryType === 'resource' && Number.isFinite(e.responseStart) && Number.isFinite(e.startTime)) {
-    const dns = (e.domainLookupEnd || 0) - (e.domainLookupStart || 0);
-    const tcp = (e.connectEnd || 0) - (e.connectStart || 0);
-    const tls = e.secureConnectionStart ? (e.connectEnd - e.secureConnectionStart) : 0;
-    const ttfb = (e.responseStart || 0) - (e.requestStart || 0);
-    const dl = (e.responseEnd || 0) - (e.responseStart || 0);
-    if (dns > 0) add('dns', fmtMs(dns));
-    if (tcp > 0) add('tcp', fmtMs(tcp));
-    if (tls > 0) add('tls', fmtMs(tls));
-    if (ttfb > 0) add('ttfb', fmtMs(ttfb));
-    if (dl > 0) add('download', fmtMs(dl));
+  const phases = e.entryType === 'resource' ? resourcePhases(e) : null;
+  if (phases) {
+    for (const p of PHASES) if (phases[p] > 0) add(p, fmtMs(phases[p]));
+  }
+  for (const st of e.serverTiming || []) {
+    const parts = [st.duration ? fmtMs(st.duration) : '', st.description ? `(${st.description})` : ''];
+    add(`server: ${st.name}`, parts.filter(Boolean).join(' ') || 'reported');
+  }
+  // Web Vitals attribution
+  if (e.element) add('element', e.element);
+  if (e.url) add('url', e.url);
+  if (e.size != null) add('size', `${e.size} px²`);
+  if (e.renderTime) add('renderTime', fmtMs(e.renderTime));
+  if (e.loadTime) add('loadTime', fmtMs(e.loadTime));
+  if (e.value != null) add('shift value', e.value.toFixed(4));
+  if (e.hadRecentInput) add('hadRecentInput', 'yes (excluded from CLS)');
+  if (e.sources?.length) add('sources', e.sources.map(s => s.node || '?').join(', '));
+  if (e.interactionId) add('interactionId', e.interactionId);
+  if (e.target) add('target', e.target);
+  const ip = interactionPhases(e);
+  if (ip) {
+    add('input delay', fmtMs(ip.inputDelay));
+    add('processing', fmtMs(ip.processing));
+    add('presentation', fmtMs(ip.presentationDelay));
+  }
+  // Long Animation Frame
+  if (e.blockingDuration != null) add('blocking', fmtMs(e.blockingDuration));
+  if (e.renderStart) add('render start', fmtMs(e.renderStart));
+  if (e.styleAndLayoutStart) add('style/layout', fmtMs(e.styleAndLayoutStart));
+  if (e.scripts) add('scripts', e.scripts.length);
+  if (state.clusters && state.clusters.has(e.id)) {
+    const p = state.clusterInfo.profiles[state.clusters.get(e.id)];
+    if (p) {
+      add('cluster', `${p.cluster} · ${p.label}`);
+      add('cluster profile', profileSummary(p));
+    } else {
+      add('cluster', 'noise (not in any dense group)');
+    }
+  } else if (state.clusterInfo?.unphased && (e.entryType === 'resource' || e.entryType === 'navigation') && !resourcePhases(e)) {
+    add('cluster', 'none (phase features selected, but this entry has no phase timing)');
+  }
+
+  // Position relative to the enabled milestones (marks capped to keep the panel short).
+  const milestones = collectMilestones(state.entries, state.milestoneGroups);
+  const marks = milestones.filter(m => m.group === 'mark');
+  const shown = milestones.filter(m => m.group !== 'mark' || marks.indexOf(m) < 6);
+  for (const m of shown) {
+    const r = relativeTo(e, m);
+    const text = r.relation === 'before' ? `finished ${fmtMs(r.delta)} before`
+      : r.relation === 'after' ? `started ${fmtMs(r.delta)} after`
+      : `in flight (started ${fmtMs(r.delta)} before)`;
+    add(`vs ${m.label}`, text);
+  }
+}
+
+// LoAF script attribution, longest first: who blocked the main thread.
+function renderScriptBreakdown(e) {
+  const scripts = (e?.scripts || []).slice().sort((a, b) => b.duration - a.duration);
+  ui.selectedScripts.hidden = !scripts.length;
+  if (!scripts.length) { ui.selectedScripts.innerHTML = ''; return; }
+  const where = (s) => {
+    const fn = s.sourceFunctionName || '(anonymous)';
+    const src = s.sourceURL ? `${nameTail(s.sourceURL)}${s.sourceCharPosition >= 0 ? ':' + s.sourceCharPosition : ''}` : '';
+    return src ? `${fn} @ ${src}` : fn;
+  };
+  ui.selectedScripts.innerHTML = `
+    <table class="table">
+      <thead><tr><th>duration</th><th>forced layout</th><th>function</th><th>invoker</th></tr></thead>
+      <tbody>
+        ${scripts.map(s => `
+          <tr>
+            <td class="mono">${fmtMs(s.duration)}</td>
+            <td class="mono">${s.forcedStyleAndLayoutDuration ? fmtMs(s.forcedStyleAndLayoutDuration) : '—'}</td>
+            <td class="mono" title="${escapeHtml(s.sourceURL || '')}">${escapeHtml(shorten(where(s), 48))}</td>
+            <td class="mono" title="${escapeHtml(s.invokerType || '')}">${escapeHtml(shorten(s.invoker || '', 32))}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderVitals() {
+  const v = state.vitals;
+  const card = (label, m, fmt, detail) => {
+    if (!m) return `<div class="vital"><div class="small">${label}</div><div class="mono">—</div><div class="small">no data</div></div>`;
+    const id = m.entry?.id || m.entries?.[0]?.id || '';
+    return `
+      <div class="vital ${m.rating}" data-id="${escapeHtml(id)}" title="${escapeHtml(m.rating)}">
+        <div class="small">${label}</div>
+        <div class="mono value">${fmt(m.value)}</div>
+        <div class="small mono">${escapeHtml(shorten(detail(m) || m.rating, 40))}</div>
+      </div>`;
+  };
+  ui.vitals.innerHTML = [
+    card('LCP', v.lcp, fmtMs, m => m.entry.element || nameTail(m.entry.url)),
+    card('CLS', v.cls, x => x.toFixed(3), m => {
+      const node = m.entries.slice().sort((a, b) => b.value - a.value).find(e => e.sources?.[0]?.node)?.sources[0].node;
+      return `${m.entries.length} shifts` + (node ? ` • ${node}` : '');
+    }),
+    card('INP', v.inp, fmtMs, m => `${m.entry.name} ${m.entry.target || ''} • ${m.interactions} interactions`),
+    card('FID', v.fid, fmtMs, m => `${m.entry.name} ${m.entry.target || ''}`),
+  ].join('');
+  for (const div of ui.vitals.querySelectorAll('[data-id]')) {
+    div.addEventListener('click', () => {
+      if (!div.dataset.id) return;
+      state.selectedId = div.dataset.id;
+      render(filteredEntries());
+    });
   }
-  if (state.clusters && state.clusters.has(e.id)) add('cluster', state.clusters.get(e.id));
 }
 
 function renderOutliers() {
   ui.outliers.innerHTML = '';
   for (const o of state.outliers) {
     const tr = document.createElement('tr');
+    const kind = OUTLIER_METRICS.find(m => m.key === o.by)?.kind;
     tr.innerHTML = `
       <td class="mono">${o.z.toFixed(2)}</td>
+      <td class="small mono">${escapeHtml(shorten(o.group, 24))}</td>
+      <td class="small mono">${o.metric === 'multivariate' ? `multivariate · ${o.by}` : o.by}</td>
       <td><span class="pill">${o.entry.entryType}</span></td>
-      <td class="mono">${fmtMs(o.entry.duration)}</td>
-      <td class="mono" title="${o.entry.name}">${escapeHtml(shorten(o.entry.name, 68))}</td>
+      <td class="mono">${kind === 'bytes' ? fmtBytes(o.value) : fmtMs(o.value)}</td>
+      <td class="mono" title="${escapeHtml(o.entry.name)}">${escapeHtml(shorten(o.entry.name, 60))}</td>
     `;
     tr.addEventListener('click', () => {
       state.selectedId = o.entry.id;
@@ -293,6 +662,90 @@ function renderOutliers() {
   }
 }
 
+function renderBudgets() {
+  ui.budgetTable.innerHTML = '';
+  if (!state.budgetResults.length) {
+    ui.budgetTable.innerHTML = '<tr><td colspan="4" class="small">No budgets yet — add one rule per line above.</td></tr>';
+    return;
+  }
+  for (const r of state.budgetResults) {
+    const tr = document.createElement('tr');
+    const status = r.pass == null ? 'n/a' : r.pass ? 'pass' : 'fail';
+    tr.innerHTML = `
+      <td><span class="pill ${status === 'n/a' ? '' : status}">${status}</span></td>
+      <td class="mono" title="${escapeHtml(r.label)}">${escapeHtml(formatBudget(r.budget))}</td>
+      <td class="mono">${formatBudgetValue(r.budget.metric, r.actual)}</td>
+      <td class="mono"></td>
+    `;
+    // Link the worst offenders; clicking one selects it in the waterfall.
+    const cell = tr.lastElementChild;
+    for (const e of r.offenders.slice(0, 3)) {
+      const a = document.createElement('a');
+      a.href = '#';
+      a.textContent = shorten(nameTail(e.name), 32);
+      a.title = e.name;
+      a.onclick = (ev) => {
+        ev.preventDefault();
+        state.selectedId = e.id;
+        render(filteredEntries());
+      };
+      cell.append(a, ' ');
+    }
+    if (r.offenders.length > 3) cell.append(`+${r.offenders.length - 3} more`);
+    ui.budgetTable.appendChild(tr);
+  }
+}
+
+function renderOrigins() {
+  const host = firstPartyHost(state.entries);
+  ui.firstParty.textContent = host ? `first party: ${registrableDomain(host)}` : '';
+  ui.origins.innerHTML = '';
+  const rows = originBreakdown(state.entries, { by: state.originGroup, vendors: state.vendors, host });
+  if (!rows.length) {
+    ui.origins.innerHTML = '<tr><td colspan="7" class="small">No requests recorded yet.</td></tr>';
+    return;
+  }
+  for (const g of rows) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="mono" title="${escapeHtml(g.origins.join('\n'))}"><span class="swatch" style="background:${categoryColor(g.key)}"></span>${escapeHtml(shorten(g.key, 40))}</td>
+      <td><span class="pill">${g.firstParty ? '1st' : '3rd'}</span></td>
+      <td class="mono">${g.requests}</td>
+      <td class="mono">${fmtBytes(g.bytes)}</td>
+      <td class="mono">${g.blockingTime ? fmtMs(g.blockingTime) : '—'}</td>
+      <td class="mono">${g.renderBlocking || '—'}</td>
+      <td class="mono">${g.restricted || '—'}</td>
+    `;
+    ui.origins.appendChild(tr);
+  }
+}
+
+function renderBudgetEditor() {
+  ui.budgets.value = state.budgets.map(formatBudget).join('\n');
+  ui.budgetErrors.textContent = '';
+}
+
+function renderServerTiming(entries) {
+  ui.serverTiming.innerHTML = '';
+  const rows = serverTimingSummary(entries);
+  if (!rows.length) {
+    ui.serverTiming.innerHTML = '<tr><td colspan="6" class="small">No Server-Timing headers seen (responses must send <code>Server-Timing</code>, plus <code>Timing-Allow-Origin</code> cross-origin).</td></tr>';
+    return;
+  }
+  for (const m of rows) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="mono"><span class="swatch" style="background:${serverTimingColor(m.name)}"></span>${escapeHtml(m.name)}</td>
+      <td class="mono">${m.count}</td>
+      <td class="mono">${fmtMs(m.p50)}</td>
+      <td class="mono">${fmtMs(m.p95)}</td>
+      <td class="mono">${fmtMs(m.max)}</td>
+      <td class="small">${escapeHtml(shorten(m.description, 40))}</td>
+    `;
+    ui.serverTiming.appendChild(tr);
+  }
+}
+
 function renderDiagnostics(entries) {
   const s = state.stats;
   const supp = PerformanceObserver?.supportedEntryTypes || [];
@@ -308,44 +761,75 @@ function renderDiagnostics(entries) {
       <div>longtask</div><div class="mono">${longtaskSupported ? 'supported' : 'not supported'}</div>
       <div>entries</div><div class="mono">${entries.length}</div>
       <div>types</div><div class="mono">${escapeHtml(countStr || '—')}</div>
+      <div>sources</div><div class="mono">${sourceList().map(src => `${escapeHtml(shorten(src.label, 28))}: ${src.count}${src.status === 'lost' ? ' (lost)' : src.status === 'closed' ? ' (closed)' : ''}`).join('<br>') || '—'}</div>
+      ${state.excerpt ? `<div>excerpt</div><div class="mono worse">${excerptSummary(state.excerpt)}</div>` : ''}
       <div>p50 duration</div><div class="mono">${fmtMs(s.p50Duration || 0)}</div>
       <div>p95 duration</div><div class="mono">${fmtMs(s.p95Duration || 0)}</div>
       <div>time span</div><div class="mono">${fmtMs(s.maxTime - s.minTime)}</div>
-      <div>shortcuts</div><div class="mono">r: start/stop • s: snapshot • /: filter</div>
+      <div>shortcuts</div><div class="mono">r: start/stop • s: snapshot • /: filter • +/-/0: zoom</div>
+      <div>waterfall</div><div class="mono">wheel: scroll • ctrl+wheel: zoom • drag/shift+wheel: pan • minimap: brush • dblclick: reset</div>
     </div>
     <div style="height:8px"></div>
     <div class="small">Tip: for cross-origin timing details, your resources must send <code>Timing-Allow-Origin</code>.</div>
   `;
 }
 
+// Whole-session figures a truncated permalink carries for the entries it left out.
+function excerptSummary(x) {
+  const types = Object.entries(x.byType || {}).sort((a, b) => b[1] - a[1]).map(([k, v]) => `${k}:${v}`).join('  ');
+  return escapeHtml(`${x.kept} of ${x.total} entries kept (${x.rank || 'top entries'}). All ${x.total}: `
+    + `${fmtBytes(x.bytes)} • p50 ${fmtMs(x.p50Duration)} • p95 ${fmtMs(x.p95Duration)} • span ${fmtMs(x.span)} • ${types}`);
+}
+
+// The k of the current clustering (auto mode decides it per run).
+function clusterCount() {
+  return state.clusterInfo?.k ?? state.k;
+}
+
+function renderClusterSummary() {
+  const c = state.clusterInfo;
+  ui.kmeansOpts.hidden = state.clusterAlgo !== 'kmeans';
+  ui.dbscanOpts.hidden = state.clusterAlgo !== 'dbscan';
+  if (!c) { ui.clusterSummary.textContent = ''; return; }
+  const parts = c.algorithm === 'dbscan'
+    ? [`${c.k} cluster${c.k === 1 ? '' : 's'}`, `${c.noise} noise`, `eps ${c.eps.toFixed(3)}`]
+    : c.auto ? [`k=${c.k}`, `silhouette ${c.scores.find(x => x.k === c.k).silhouette.toFixed(3)}`] : [];
+  if (c.unphased) parts.push(`${c.unphased} without phase timing left out`);
+  ui.clusterSummary.textContent = parts.join(' • ');
+}
+
+function profileSummary(p) {
+  const pct = (x) => `${Math.round(x * 100)}%`;
+  return `${p.count} entries • starts ~${fmtMs(p.startTime)} • ~${fmtMs(p.duration)} • ~${fmtBytes(p.bytes)}`
+    + ` • ${pct(p.initiatorType.share)} ${p.initiatorType.value} • ${pct(p.host.share)} ${p.host.value || '?'}`;
+}
+
 function render(entries) {
   ui.entryCount.textContent = `${entries.length} entries`;
+  ui.kLabel.textContent = state.kAuto ? `auto ${state.clusterInfo?.k ?? '–'}` : String(state.k);
+  renderClusterSummary();
 
-  const { colors, labels } = paletteForClusters(state.k);
   ui.legend.innerHTML = '';
-  if (state.clusters) {
-    labels.forEach((lbl, i) => {
-      const div = document.createElement('div');
-      div.innerHTML = `<span class="swatch" style="background:${colors[i]}"></span>cluster ${i}`;
-      ui.legend.appendChild(div);
-    });
-  } else {
+  for (const item of legendItems(entries)) {
     const div = document.createElement('div');
-    div.textContent = 'clusters: n/a (need at least k resource/navigation entries)';
+    if (item.title) div.title = item.title;
+    const swatch = item.color ? `<span class="swatch" style="background:${item.color}"></span>`
+      : item.outline ? `<span class="swatch" style="border:1px dashed ${item.outline}"></span>`
+      : '';
+    div.innerHTML = swatch + escapeHtml(item.label);
     ui.legend.appendChild(div);
   }
 
-  const pick = drawWaterfall(ui.wf, entries, {
-    clusters: state.clusters,
-    clusterColors: colors,
-  });
+  wfEntries = entries;
+  drawMainWaterfall();
 
   // Hover tooltip
   ui.wf.onmousemove = (ev) => {
-    const id = pickAt(ui.wf, pick, ev);
+    const id = pickAt(ui.wf, wfPick, ev);
     ui.wf.style.cursor = id ? 'pointer' : 'default';
     const e = id ? entries.find(x => x.id === id) : null;
     if (!e) { ui.overlay.innerHTML = ''; return; }
+    const notes = state.annotations.filter(a => a.entryId === e.id);
 
     const rect = ui.wf.getBoundingClientRect();
     const x = ev.clientX - rect.left;
@@ -354,68 +838,531 @@ function render(entries) {
       <div class="tooltip" style="left:${Math.min(rect.width-20, x+12)}px; top:${Math.min(rect.height-20, y+12)}px;">
         <div class="mono">${escapeHtml(e.entryType)} <span class="t">${fmtMs(e.duration)}</span></div>
         <div class="mono" style="margin-top:4px">${escapeHtml(shorten(e.name || '', 92))}</div>
+        ${notes.length ? `<div class="t" style="margin-top:4px">${notes.map(a => `📌 ${escapeHtml(shorten(a.text, 80))}`).join('<br>')}</div>` : ''}
       </div>
     `;
   };
   ui.wf.onmouseleave = () => { ui.overlay.innerHTML = ''; };
 
+  renderSources();
   renderSelected(entries);
+  renderAnnotations();
+  renderVitals();
   renderOutliers();
+  renderBudgets();
+  renderOrigins();
+  renderServerTiming(entries);
   renderDiagnostics(entries);
 
   // Click handling based on current draw's pick function
   ui.wf.onclick = (ev) => {
-    const id = pickAt(ui.wf, pick, ev);
+    const id = pickAt(ui.wf, wfPick, ev);
     if (!id) return;
     state.selectedId = id;
     render(entries);
   };
 }
 
-const persistDebounced = debounce(async () => {
-  const session = {
-    v: 1,
+// What the bar colors mean, as [{ label, color?, outline?, title? }]; the waterfall
+// exports draw the same list.
+function legendItems(entries) {
+  const { colors } = paletteForClusters(clusterCount());
+  if (state.colorMode === 'phase') {
+    return [
+      ...PHASE_SEGMENTS.map(p => ({ label: p.label, color: PHASE_COLORS[p.key] })),
+      { label: '⊘ no Timing-Allow-Origin (phases zeroed)', outline: '#ffcc66' },
+    ];
+  }
+  if (state.colorMode === 'vendor') {
+    const rows = originBreakdown(entries, { by: 'vendor', vendors: state.vendors });
+    return [
+      ...rows.slice(0, 12).map(g => ({ label: `${g.key} (${g.requests})`, color: categoryColor(g.key) })),
+      ...(rows.length > 12 ? [{ label: `+${rows.length - 12} more` }] : []),
+    ];
+  }
+  if (state.clusters) {
+    return [
+      ...state.clusterInfo.profiles.filter(p => p.count)
+        .map(p => ({ label: `${p.cluster} · ${p.label} (${p.count})`, color: colors[p.cluster], title: profileSummary(p) })),
+      ...(state.clusterInfo.noise ? [{ label: `◌ noise (${state.clusterInfo.noise})`, color: NOISE_COLOR }] : []),
+    ];
+  }
+  return [{
+    label: state.features.size
+      ? 'clusters: n/a (too few entries for the chosen clustering)'
+      : 'clusters: n/a (no clustering features selected)',
+  }];
+}
+
+function waterfallOptions() {
+  const { colors } = paletteForClusters(clusterCount());
+  const byVendor = state.colorMode === 'vendor';
+  return {
+    // Vendor coloring covers fetches; everything else keeps its entry-type color.
+    clusters: byVendor ? null : state.clusters,
+    clusterColors: colors,
+    colorOf: byVendor ? (e => (e.entryType === 'resource' || e.entryType === 'navigation') && categoryColor(groupOf(e.name, 'vendor', state.vendors))) : null,
+    colorMode: state.colorMode,
+    milestones: collectMilestones(state.entries, state.milestoneGroups),
+    annotations: waterfallAnnotations(),
+    view: state.view,
+  };
+}
+
+function drawMainWaterfall() {
+  const lanes = state.sourceLanes ? sourceLanes(wfEntries) : [];
+  const draw = lanes.length > 1 ? (canvas, _, opts) => drawWaterfallLanes(canvas, lanes, opts) : drawWaterfall;
+  wfPick = draw(ui.wf, wfEntries, waterfallOptions());
+  ui.btnAnnotateRange.disabled = state.view.t0 == null;
+  // Activity charts cover the whole session (long tasks and marks even when their type
+  // chips are off) on the waterfall's axis.
+  seriesPick = drawTimeSeries(ui.series, state.entries, {
+    full: wfPick.full,
+    visible: wfPick.visible,
+    selected: state.entries.find(e => e.id === state.selectedId),
+  });
+}
+
+const EXPORT_BACKGROUND = '#0b1020';
+const MAX_PNG_PIXELS = 16e6; // Safari's canvas area limit is about 16.7M px
+
+// The waterfall as it is on screen (zoom, lanes, colors, milestones, annotations) but
+// with every row, the legend and a solid background, for images and the report.
+// `canvas` is a detached canvas or an SVG canvas.
+function drawWaterfallImage(canvas, scale) {
+  const lanes = state.sourceLanes ? sourceLanes(wfEntries) : [];
+  return drawWaterfallLanes(canvas, lanes.length > 1 ? lanes : [{ entries: wfEntries }], {
+    ...waterfallOptions(),
+    view: { ...state.view, scrollRow: 0 },
+    size: { width: Math.max(640, ui.wf.getBoundingClientRect().width || 1200) },
+    scale,
+    background: EXPORT_BACKGROUND,
+    legend: legendItems(wfEntries),
+  });
+}
+
+function waterfallSvg() {
+  const canvas = createSvgCanvas();
+  const { rowsLeftOut } = drawWaterfallImage(canvas, 1);
+  return { svg: canvas.toSvg(), rowsLeftOut };
+}
+
+// Status suffix for exports that hit the per-lane row cap (the image's legend says it too).
+const rowsLeftOutNote = (n) => (n ? `; ${n} rows past the first ${EXPORT_MAX_ROWS} per lane left out` : '');
+
+// Bucket values under the cursor.
+function onSeriesHover(ev) {
+  if (!seriesPick) return;
+  const rect = ui.series.getBoundingClientRect();
+  const x = ev.clientX - rect.left;
+  const y = ev.clientY - rect.top;
+  const { plot, visible, dpr, series } = seriesPick;
+  const t = visible[0] + (x * dpr - plot.left) / (plot.right - plot.left) * (visible[1] - visible[0]);
+  const b = seriesAt(series, t);
+  if (!b) { ui.seriesOverlay.innerHTML = ''; return; }
+  const origin = seriesPick.full[0];
+  const marks = series.annotations.filter(a => a.start <= b.end && a.end >= b.start).map(a => a.label);
+  ui.seriesOverlay.innerHTML = `
+    <div class="tooltip" style="left:${Math.min(rect.width - 220, x + 12)}px; top:${Math.min(rect.height - 90, y + 12)}px;">
+      <div class="mono t">${fmtMs(b.start - origin)} – ${fmtMs(b.end - origin)}</div>
+      <div class="mono">in-flight ${b.inflight.toFixed(1)}</div>
+      <div class="mono">received ${fmtBytes(b.bytes)} (${fmtBytes(b.bytes / (b.end - b.start) * 1000)}/s)</div>
+      <div class="mono">main thread busy ${Math.round(100 * b.busy / (b.end - b.start))}% • blocking ${fmtMs(b.blocked)}</div>
+      ${marks.length ? `<div class="mono t">${marks.slice(0, 4).map(m => escapeHtml(shorten(m, 40))).join('<br>')}</div>` : ''}
+    </div>
+  `;
+}
+
+// Annotations as the waterfall draws them. Pins sit at their entry's start; notes whose
+// entry isn't in the session have nowhere to go and only show in the list.
+function waterfallAnnotations() {
+  const byId = new Map(state.entries.map(e => [e.id, e]));
+  return state.annotations.flatMap(a => {
+    if (a.entryId == null) return [{ label: a.text, t0: a.t0, t1: a.t1 }];
+    const e = byId.get(a.entryId);
+    return e ? [{ label: a.text, entryId: e.id, time: e.startTime }] : [];
+  });
+}
+
+function renderAnnotations() {
+  const byId = new Map(state.entries.map(e => [e.id, e]));
+  ui.annotationList.innerHTML = '';
+  ui.btnAnnotateEntry.disabled = !byId.has(state.selectedId);
+  ui.annotationHint.hidden = state.annotations.length > 0;
+  for (const a of state.annotations) {
+    const e = a.entryId != null ? byId.get(a.entryId) : null;
+    const where = a.entryId == null ? `↔ ${fmtMs(a.t0)} – ${fmtMs(a.t1)}`
+      : e ? `📌 ${e.entryType}: ${shorten(nameTail(e.name), 36)}`
+      : `📌 entry ${a.entryId} (not in this session)`;
+    const tr = document.createElement('tr');
+    if (e && e.id === state.selectedId) tr.className = 'active';
+    tr.style.cursor = 'pointer';
+    tr.innerHTML = `
+      <td>
+        <div>${escapeHtml(a.text)}</div>
+        <div class="small mono${a.entryId != null && !e ? ' worse' : ''}">${escapeHtml(where)}</div>
+      </td>
+      <td style="white-space:nowrap">
+        <button class="mini" data-act="edit">edit</button>
+        <button class="mini danger" data-act="delete">delete</button>
+      </td>
+    `;
+    tr.addEventListener('click', (ev) => {
+      const act = ev.target?.dataset?.act;
+      if (act === 'edit') {
+        const text = prompt('Annotation', a.text)?.trim();
+        if (!text) return;
+        updateAnnotations(state.annotations.map(x => (x === a ? { ...a, text } : x)));
+        return;
+      }
+      if (act === 'delete') {
+        updateAnnotations(state.annotations.filter(x => x !== a));
+        return;
+      }
+      // Jump to what the note is about.
+      if (!wfPick) return;
+      if (a.entryId == null) {
+        focusView(state.view, wfPick, a.t0, a.t1);
+      } else if (e) {
+        state.selectedId = e.id;
+        focusView(state.view, wfPick, e.startTime, e.startTime + e.duration);
+      } else {
+        return;
+      }
+      render(wfEntries);
+    });
+    ui.annotationList.appendChild(tr);
+  }
+}
+
+function updateAnnotations(annotations) {
+  state.annotations = annotations;
+  renderAnnotations();
+  renderSelected(wfEntries);
+  drawMainWaterfall();
+  persistDebounced();
+  estimatePermalink();
+}
+
+function addAnnotation(target, question) {
+  const text = prompt(question)?.trim();
+  if (!text) return;
+  updateAnnotations([...state.annotations, { id: newAnnotationId(), text, ...target }]);
+}
+
+const newAnnotationId = () => 'n' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+function currentSession() {
+  return {
+    v: SESSION_VERSION,
     startedAt: state.startedAt,
+    ...(state.timeOrigin != null ? { timeOrigin: state.timeOrigin } : {}),
     savedAt: Date.now(),
+    name: state.sessionName,
+    tags: state.tags,
     notes: state.notes,
+    budgets: state.budgets,
+    sources: probes.describe(),
+    annotations: state.annotations,
     entries: state.entries,
+    quarantine: state.quarantine,
+    ...(state.excerpt ? { excerpt: state.excerpt } : {}),
   };
-  await idb.set('perfscope:lastSession', session);
+}
+
+// Make `session` the working session. Without an id it becomes a new library entry on next persist.
+// `report` is the readSession report to show when the session was just imported.
+function openSession(session, { id = null, report = null } = {}) {
+  state.sessionId = id;
+  state.startedAt = session.startedAt || Date.now();
+  state.timeOrigin = Number.isFinite(session.timeOrigin) ? session.timeOrigin : null;
+  state.sessionName = session.name || defaultSessionName(state.startedAt);
+  state.tags = Array.isArray(session.tags) ? session.tags : [];
+  state.notes = session.notes || '';
+  state.budgets = Array.isArray(session.budgets) ? session.budgets : [];
+  state.annotations = Array.isArray(session.annotations) ? session.annotations : [];
+  state.entries = Array.isArray(session.entries) ? session.entries : [];
+  state.quarantine = Array.isArray(session.quarantine) ? session.quarantine : [];
+  state.importReport = report;
+  state.excerpt = session.excerpt || null;
+  state.selectedId = null;
+  state.hiddenSources.clear();
+  probes.restore(session.sources);
+  resetView(state.view);
+  ui.sessionName.value = state.sessionName;
+  ui.sessionTags.value = state.tags.join(', ');
+  ui.notes.value = state.notes;
+  renderBudgetEditor();
+  renderImportReport();
+}
+
+// Status line for a freshly read session: what it was, plus how much needed fixing.
+function importStatus(what, report) {
+  const n = report.quarantined.length;
+  const problems = report.errors.length + report.repaired.length;
+  const parts = [what];
+  if (report.from < SESSION_VERSION) parts.push(`upgraded from v${report.from}`);
+  if (n) parts.push(`${n} entr${n === 1 ? 'y' : 'ies'} quarantined`);
+  if (problems) parts.push(`${problems} warning${problems === 1 ? '' : 's'}`);
+  return parts.join(' • ');
+}
+
+// Import problems and quarantined entries; hidden while there is nothing to show.
+function renderImportReport() {
+  const r = state.importReport;
+  const lines = r ? describeReport({ ...r, quarantined: [] }) : [];
+  ui.importPanel.hidden = !lines.length && !state.quarantine.length;
+  ui.importSummary.textContent = lines.join('\n');
+  ui.quarantine.innerHTML = '';
+  ui.btnDropQuarantine.hidden = !state.quarantine.length;
+  for (const q of state.quarantine.slice(0, 200)) {
+    const e = q.entry && typeof q.entry === 'object' ? q.entry : {};
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="mono">${q.index}</td>
+      <td class="mono">${escapeHtml(String(e.entryType ?? '?'))}</td>
+      <td class="mono" title="${escapeHtml(String(e.name ?? ''))}">${escapeHtml(shorten(String(e.name ?? ''), 40))}</td>
+      <td class="small worse">${q.errors.map(escapeHtml).join('<br>')}</td>
+    `;
+    ui.quarantine.appendChild(tr);
+  }
+  if (state.quarantine.length > 200) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="4" class="small">… and ${state.quarantine.length - 200} more</td>`;
+    ui.quarantine.appendChild(tr);
+  }
+}
+
+const persistDebounced = debounce(async () => {
+  // Don't litter the library with empty scratch sessions.
+  if (!state.sessionId && !state.entries.length && !state.notes) return;
+  if (!state.sessionId) state.sessionId = newSessionId();
+  await library.save(state.sessionId, currentSession());
+  await library.setActive(state.sessionId);
+  renderLibrary();
 }, 350);
 
+async function renderLibrary() {
+  const q = ui.libraryFilter.value.trim().toLowerCase();
+  const all = await library.list();
+  renderDiffPickers(all);
+  const sessions = all.filter(m => !q
+    || m.name.toLowerCase().includes(q)
+    || m.tags.some(t => t.includes(q)));
+
+  ui.libraryList.innerHTML = '';
+  for (const m of sessions) {
+    const tr = document.createElement('tr');
+    if (m.id === state.sessionId) tr.className = 'active';
+    tr.innerHTML = `
+      <td>
+        <div>${escapeHtml(shorten(m.name, 40))}</div>
+        <div class="small mono">${m.entryCount} entries • ${fmtBytes(m.bytes)} • ${escapeHtml(new Date(m.savedAt).toLocaleString())}</div>
+        <div>${m.tags.map(t => `<span class="pill">${escapeHtml(t)}</span>`).join(' ')}</div>
+      </td>
+      <td style="white-space:nowrap">
+        <button class="mini" data-act="rename">rename</button>
+        <button class="mini danger" data-act="delete">delete</button>
+      </td>
+    `;
+    tr.addEventListener('click', async (ev) => {
+      const act = ev.target?.dataset?.act;
+      if (act === 'rename') {
+        const name = prompt('Session name', m.name);
+        if (name == null || !name.trim()) return;
+        await library.update(m.id, { name: name.trim() });
+        if (m.id === state.sessionId) ui.sessionName.value = state.sessionName = name.trim();
+        renderLibrary();
+        return;
+      }
+      if (act === 'delete') {
+        if (!confirm(`Delete “${m.name}”? This cannot be undone.`)) return;
+        await library.remove(m.id);
+        if (m.id === state.sessionId) {
+          openSession({});
+          recompute();
+        }
+        renderLibrary();
+        return;
+      }
+      if (m.id === state.sessionId) return;
+      const session = await library.load(m.id);
+      if (!session) return;
+      await persistDebounced.flush();
+      openSession(session, { id: m.id });
+      await library.setActive(m.id);
+      setStatus(`opened “${shorten(state.sessionName, 32)}”`, false);
+      recompute();
+    });
+    ui.libraryList.appendChild(tr);
+  }
+
+  const est = await library.estimate();
+  const quota = est.quota ? ` • origin storage ${fmtBytes(est.usage)} of ${fmtBytes(est.quota)} (${(100 * est.usage / est.quota).toFixed(1)}%)` : '';
+  ui.libraryQuota.textContent = `${est.sessions} sessions, ${fmtBytes(est.bytes)}${quota}`;
+}
+
+function renderDiffPickers(sessions) {
+  for (const [sel, fallback] of [[ui.diffA, 1], [ui.diffB, 0]]) {
+    // Keep an explicit user choice; otherwise follow the newest sessions.
+    const prev = sel.dataset.picked ? sel.value : null;
+    sel.innerHTML = '<option value="">current session</option>' + sessions
+      .map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(shorten(m.name, 40))} (${m.entryCount})</option>`)
+      .join('');
+    sel.value = prev ?? sessions[fallback]?.id ?? '';
+    if (sel.selectedIndex < 0) sel.value = '';
+  }
+}
+
+const DIFF_COLORS = {
+  added: 'rgba(125,255,178,0.55)',
+  removed: 'rgba(255,107,139,0.55)',
+  changed: 'rgba(255,204,102,0.60)',
+  same: 'rgba(255,255,255,0.14)',
+};
+
+async function runDiff() {
+  const loadSide = async (id) => (id ? library.load(id) : currentSession());
+  const [a, b] = await Promise.all([loadSide(ui.diffA.value), loadSide(ui.diffB.value)]);
+  if (!a || !b) {
+    setStatus('session not found', false);
+    return;
+  }
+  state.diff = { a, b, result: diffSessions(a.entries, b.entries) };
+  resetView(state.diffView);
+  renderDiff();
+}
+
+function renderDiff() {
+  const d = state.diff;
+  ui.diffWrap.hidden = !d;
+  ui.diffTable.innerHTML = '';
+  if (!d) { ui.diffSummary.textContent = ''; return; }
+
+  const { rows, summary } = d.result;
+  ui.diffSummary.textContent = `${summary.changed} changed • ${summary.added} added • ${summary.removed} removed • ${summary.same} same • bytes ${signed(summary.bytesDelta, fmtBytes)}`;
+
+  // Both sides can carry the same ids (e.g. a session against an imported copy of
+  // itself), so rows are looked up by entry object.
+  const rowOf = new Map();
+  for (const r of rows) {
+    if (r.a) rowOf.set(r.a, r);
+    if (r.b) rowOf.set(r.b, r);
+  }
+  d.rowOf = rowOf;
+  drawDiffWaterfall();
+
+  ui.diffWf.onmousemove = (ev) => {
+    const hit = pickRectAt(ui.diffWf, diffPick, ev);
+    const r = hit ? rowOf.get(hit.entry) : null;
+    if (!hit) { ui.diffOverlay.innerHTML = ''; return; }
+    const rect = ui.diffWf.getBoundingClientRect();
+    const x = ev.clientX - rect.left;
+    const y = ev.clientY - rect.top;
+    const detail = r?.deltas
+      ? `Δ ${signed(r.deltas.duration, fmtMs)} • ${signed(r.deltas.transferSize, fmtBytes)}`
+      : fmtMs(hit.entry.duration);
+    ui.diffOverlay.innerHTML = `
+      <div class="tooltip" style="left:${Math.min(rect.width-20, x+12)}px; top:${Math.min(rect.height-20, y+12)}px;">
+        <div class="mono">${escapeHtml(r?.status || hit.entry.entryType)} <span class="t">${escapeHtml(detail)}</span></div>
+        <div class="mono" style="margin-top:4px">${escapeHtml(shorten(hit.entry.name || '', 92))}</div>
+      </div>
+    `;
+  };
+  ui.diffWf.onmouseleave = () => { ui.diffOverlay.innerHTML = ''; };
+
+  const show = ui.diffShow.value;
+  const visible = rows.filter(r => show === 'all' || (show === 'diff' ? r.status !== 'same' : r.status === show));
+  for (const r of visible.slice(0, 300)) {
+    const tr = document.createElement('tr');
+    const cell = (k) => {
+      const fmt = k === 'transferSize' ? fmtBytes : fmtMs;
+      if (!r.deltas) return `<td class="mono">${k === 'duration' || k === 'transferSize' ? fmt((r.b || r.a)[k]) : '—'}</td>`;
+      const v = r.deltas[k];
+      const cls = v > 0 ? 'worse' : v < 0 ? 'better' : '';
+      return `<td class="mono ${cls}">${signed(v, fmt)}</td>`;
+    };
+    tr.innerHTML = `
+      <td><span class="pill ${r.status}">${r.status}</span></td>
+      ${DIFF_METRICS.map(cell).join('')}
+      <td class="mono" title="${escapeHtml(r.key)}">${escapeHtml(shorten(r.key, 68))}</td>
+    `;
+    ui.diffTable.appendChild(tr);
+  }
+}
+
+// Two lanes on one axis; entries are colored by their diff status.
+function drawDiffWaterfall() {
+  const d = state.diff;
+  const laneEntries = (s) => s.entries.filter(e => e.entryType === 'resource' || e.entryType === 'navigation');
+  diffPick = drawWaterfallLanes(ui.diffWf, [
+    { label: `A: ${d.a.name || 'current session'}`, entries: laneEntries(d.a) },
+    { label: `B: ${d.b.name || 'current session'}`, entries: laneEntries(d.b) },
+  ], { colorOf: (e) => DIFF_COLORS[d.rowOf.get(e)?.status], view: state.diffView });
+}
+
+function signed(v, fmt) {
+  return v == null ? '—' : (v > 0 ? '+' : v < 0 ? '−' : '') + fmt(Math.abs(v));
+}
+
+// Library id for a permalink: the same link always maps to the same library entry, so
+// reopening it doesn't pile up copies.
+async function permalinkSessionId(hash) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(hash)));
+  return 'p' + Array.from(digest.slice(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+}
+
 async function loadFromPermalinkOrStorage() {
-  if (location.hash.startsWith('#s=')) {
+  // A save still waiting on its debounce belongs to the session being replaced.
+  await persistDebounced.flush();
+  let permalinkError = null;
+  const hash = location.hash;
+  if (isPermalink(hash) || hash.startsWith('#s=')) {
     try {
-      const payload = location.hash.slice(3);
-      const json = decompressFromEncodedURIComponent(payload);
-      const session = decodeSession(json);
-      state.entries = session.entries;
-      state.notes = session.notes || '';
-      ui.notes.value = state.notes;
-      setStatus('loaded from permalink', false);
+      const id = await permalinkSessionId(hash);
+      const saved = await library.load(id);
+      if (saved) {
+        // Opened before: the library copy has any notes or annotations added since.
+        openSession(saved, { id });
+        setStatus('opened the saved copy of this permalink', false);
+      } else {
+        // `#s=` links predate the compact format: lz-string compressed session JSON.
+        const raw = isPermalink(hash) ? await decodePermalink(hash) : JSON.parse(decompressFromEncodedURIComponent(hash.slice(3)));
+        const { session, report } = readSession(raw);
+        openSession(session, { id, report });
+        const x = session.excerpt;
+        setStatus(importStatus(x ? `loaded permalink excerpt: ${x.kept} of ${x.total} entries` : 'loaded from permalink', report), false);
+      }
+      // The session is in the library from now on; reloading shouldn't read the link again.
+      history.replaceState(null, '', location.pathname + location.search);
       recompute();
       return;
     } catch (e) {
       console.warn('Bad permalink', e);
+      permalinkError = e.message;
     }
   }
 
-  const last = await idb.get('perfscope:lastSession');
-  if (last?.entries) {
-    state.entries = last.entries;
-    state.notes = last.notes || '';
-    ui.notes.value = state.notes;
+  const activeId = await library.getActive();
+  const last = activeId ? await library.load(activeId) : null;
+  if (last) {
+    openSession(last, { id: activeId });
     setStatus('restored last session (IndexedDB)', false);
   } else {
+    openSession({});
     setStatus('idle', false);
   }
+  if (permalinkError) setStatus(`permalink not loaded: ${permalinkError}`, false);
   recompute();
+  renderLibrary();
 }
 
 function installHandlers(recorder) {
   ui.btnStart.onclick = async () => {
     state.recording = true;
     state.startedAt = Date.now();
+    // Recorded entries (and probe entries, once aligned) are relative to this page's origin.
+    state.timeOrigin = performance.timeOrigin;
     setStatus('recording…', true);
     ui.btnStart.disabled = true;
     ui.btnStop.disabled = false;
@@ -424,8 +1371,9 @@ function installHandlers(recorder) {
       entryTypes: [...state.enabledTypes],
       onEntry: (e) => {
         state.entries.push(e);
+        // Every 20 entries, and once the stream goes quiet so the last few count too.
         if (state.entries.length % 20 === 0) recompute();
-        else ui.entryCount.textContent = `${filteredEntries().length} entries`;
+        else recomputeWhenQuiet();
       }
     });
 
@@ -446,13 +1394,15 @@ function installHandlers(recorder) {
     recompute();
   };
 
+  // Clearing starts a fresh session; the previous one stays in the library.
   ui.btnClear.onclick = async () => {
-    state.entries = [];
-    state.selectedId = null;
+    await persistDebounced.flush();
+    openSession({});
     location.hash = '';
-    await idb.del('perfscope:lastSession');
-    setStatus('cleared', false);
+    await library.setActive(null);
+    setStatus('cleared (previous session kept in library)', false);
     recompute();
+    renderLibrary();
   };
 
   ui.kRange.oninput = () => {
@@ -461,24 +1411,210 @@ function installHandlers(recorder) {
     recompute();
   };
 
-  ui.filterText.oninput = () => {
-    state.filter = ui.filterText.value;
+  ui.clusterAlgo.onchange = () => {
+    state.clusterAlgo = ui.clusterAlgo.value;
+    recompute();
+  };
+
+  ui.dbMinPts.oninput = () => {
+    const n = Math.round(Number(ui.dbMinPts.value));
+    if (!(n >= 2)) return;
+    state.minPts = n;
+    recompute();
+  };
+
+  ui.dbEps.oninput = () => {
+    const v = ui.dbEps.value.trim();
+    if (v && !(Number(v) > 0)) return;
+    state.eps = v ? Number(v) : null;
+    recompute();
+  };
+
+  ui.outlierMetric.onchange = () => {
+    state.outlierMetric = ui.outlierMetric.value;
     recompute();
   };
 
+  ui.outlierGroup.onchange = () => {
+    state.groupBy = ui.outlierGroup.value;
+    recompute();
+  };
+
+  ui.outlierThreshold.oninput = () => {
+    const z = Number(ui.outlierThreshold.value);
+    if (!ui.outlierThreshold.value.trim() || !Number.isFinite(z)) return;
+    state.threshold = z;
+    recompute();
+  };
+
+  ui.outlierMinGroup.oninput = () => {
+    const n = Math.round(Number(ui.outlierMinGroup.value));
+    if (!(n >= 3)) return;
+    state.minGroup = n;
+    recompute();
+  };
+
+  ui.kAuto.onchange = () => {
+    state.kAuto = ui.kAuto.checked;
+    ui.kRange.disabled = state.kAuto;
+    recompute();
+  };
+
+  ui.colorMode.onchange = () => {
+    state.colorMode = ui.colorMode.value;
+    render(filteredEntries());
+  };
+
+  ui.filterText.oninput = () => {
+    applyFilter();
+    updateSuggestions();
+  };
+
+  ui.filterText.onkeydown = (ev) => {
+    if (!suggestion) return;
+    const n = suggestion.items.length;
+    if (ev.key === 'ArrowDown' || ev.key === 'ArrowUp') {
+      ev.preventDefault();
+      suggestion.index = (suggestion.index + (ev.key === 'ArrowDown' ? 1 : n - 1)) % n;
+      renderSuggestions();
+    } else if (ev.key === 'Tab' || ev.key === 'Enter') {
+      ev.preventDefault();
+      acceptSuggestion(suggestion.index);
+    } else if (ev.key === 'Escape') {
+      suggestion = null;
+      renderSuggestions();
+    }
+  };
+  ui.filterText.onblur = () => {
+    suggestion = null;
+    renderSuggestions();
+  };
+
+  ui.savedFilters.onchange = () => {
+    const f = state.savedFilters[Number(ui.savedFilters.value)];
+    if (!f) return;
+    ui.filterText.value = f.query;
+    applyFilter();
+  };
+
+  ui.btnSaveFilter.onclick = () => {
+    const query = state.filter.trim();
+    if (!query) return;
+    const name = prompt('Name this filter', query)?.trim();
+    if (!name) return;
+    state.savedFilters = [...state.savedFilters.filter(f => f.name !== name), { name, query: state.filter }];
+    saveFilters();
+    renderSavedFilters();
+  };
+
+  ui.btnDeleteFilter.onclick = () => {
+    const i = Number(ui.savedFilters.value);
+    if (ui.savedFilters.value === '' || !state.savedFilters[i]) return;
+    state.savedFilters = state.savedFilters.filter((_, j) => j !== i);
+    saveFilters();
+    renderSavedFilters();
+  };
+
   ui.notes.oninput = () => {
     state.notes = ui.notes.value;
     persistDebounced();
   };
 
+  ui.btnAnnotateEntry.onclick = () => {
+    if (state.selectedId == null) return;
+    addAnnotation({ entryId: state.selectedId }, 'Annotate the selected entry');
+  };
+  ui.btnAnnotateRange.onclick = () => {
+    if (state.view.t0 == null) return;
+    addAnnotation({ t0: state.view.t0, t1: state.view.t1 }, `Annotate ${fmtMs(state.view.t0)} – ${fmtMs(state.view.t1)}`);
+  };
+
+  ui.sourceLanes.onchange = () => {
+    state.sourceLanes = ui.sourceLanes.checked;
+    drawMainWaterfall();
+  };
+
+  ui.originGroup.onchange = () => {
+    state.originGroup = ui.originGroup.value;
+    renderOrigins();
+  };
+
+  // Like budgets, invalid lines keep the last good map until they are fixed.
+  ui.vendorMap.oninput = debounce(() => {
+    const { rules, errors } = parseVendorMap(ui.vendorMap.value);
+    ui.vendorErrors.textContent = errors.map(e => `line ${e.line}: ${e.message}`).join('\n');
+    if (errors.length) return;
+    state.vendors = rules;
+    library.setSetting('vendorMap', ui.vendorMap.value);
+    render(filteredEntries());
+  }, 250);
+
+  // Invalid lines keep the last good budgets until they are fixed.
+  ui.budgets.oninput = debounce(() => {
+    const { budgets, errors } = parseBudgets(ui.budgets.value);
+    ui.budgetErrors.textContent = errors.map(e => `line ${e.line}: ${e.message}`).join('\n');
+    if (errors.length) return;
+    state.budgets = budgets;
+    recompute();
+  }, 250);
+
+  ui.sessionName.oninput = () => {
+    state.sessionName = ui.sessionName.value;
+    persistDebounced();
+  };
+
+  ui.sessionTags.onchange = () => {
+    state.tags = parseTags(ui.sessionTags.value);
+    ui.sessionTags.value = state.tags.join(', ');
+    persistDebounced();
+  };
+
+  ui.libraryFilter.oninput = () => renderLibrary();
+
+  ui.diffA.onchange = ui.diffB.onchange = (ev) => { ev.target.dataset.picked = '1'; };
+  ui.btnDiff.onclick = () => runDiff();
+  ui.diffShow.onchange = () => renderDiff();
+
   ui.btnExport.onclick = () => {
-    const session = { v: 1, startedAt: state.startedAt, savedAt: Date.now(), notes: state.notes, entries: state.entries };
-    const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = `perfscope-session-${new Date().toISOString().replace(/[:.]/g,'-')}.json`;
-    a.click();
-    URL.revokeObjectURL(a.href);
+    download(JSON.stringify(currentSession(), null, 2), 'application/json', `perfscope-session-${fileStamp()}.json`);
+  };
+
+  ui.btnExportHar.onclick = () => {
+    const har = sessionToHar(currentSession());
+    download(JSON.stringify(har, null, 2), 'application/json', `perfscope-session-${fileStamp()}.har`);
+    setStatus(`exported ${har.log.entries.length} requests as HAR`, false);
+  };
+
+  ui.btnExportSvg.onclick = () => {
+    const { svg, rowsLeftOut } = waterfallSvg();
+    download(svg, 'image/svg+xml', `perfscope-waterfall-${fileStamp()}.svg`);
+    setStatus(`exported the waterfall as SVG${rowsLeftOutNote(rowsLeftOut)}`, false);
+  };
+
+  ui.btnExportPng.onclick = () => {
+    // 3× CSS pixels: sharp on high-DPI screens and when zoomed into in a ticket. Long
+    // sessions drop to a lower scale to stay under browsers' canvas size limits.
+    const canvas = document.createElement('canvas');
+    const { rowsLeftOut } = drawWaterfallImage(canvas, 3);
+    const area = canvas.width * canvas.height;
+    if (area > MAX_PNG_PIXELS) drawWaterfallImage(canvas, Math.max(1, Math.floor(3 * Math.sqrt(MAX_PNG_PIXELS / area) * 10) / 10));
+    canvas.toBlob((blob) => {
+      if (!blob) return setStatus('PNG export failed: the image is too large for this browser', false);
+      download(blob, 'image/png', `perfscope-waterfall-${fileStamp()}.png`);
+      setStatus(`exported the waterfall as PNG (${canvas.width}×${canvas.height}${rowsLeftOutNote(rowsLeftOut)})`, false);
+    }, 'image/png');
+  };
+
+  ui.btnReport.onclick = () => {
+    const { svg, rowsLeftOut } = waterfallSvg();
+    const html = buildReport(currentSession(), {
+      analysis: state,
+      waterfallSvg: svg,
+      shown: wfEntries.length,
+      query: state.filter,
+    });
+    download(html, 'text/html', `perfscope-report-${fileStamp()}.html`);
+    setStatus(`exported an HTML report (${fmtBytes(html.length)}${rowsLeftOutNote(rowsLeftOut)})`, false);
   };
 
   ui.btnImport.onclick = () => ui.fileImport.click();
@@ -486,54 +1622,153 @@ function installHandlers(recorder) {
     const f = ui.fileImport.files?.[0];
     if (!f) return;
     const text = await f.text();
-    const session = JSON.parse(text);
-    state.entries = session.entries || [];
-    state.notes = session.notes || '';
-    ui.notes.value = state.notes;
-    setStatus('imported', false);
+    ui.fileImport.value = '';
+    // Everything goes through readSession, so bad entries are quarantined, not analyzed.
+    let read;
+    let what = 'imported';
+    try {
+      const fromReport = isReport(text);
+      const obj = fromReport ? sessionFromReport(text) : JSON.parse(text);
+      if (fromReport) {
+        read = readSession(obj);
+        what = 'imported report';
+      } else if (isHar(obj)) {
+        read = readSession(sessionFromHar(obj, { name: f.name.replace(/\.har$/i, '') }));
+        what = 'imported HAR';
+      } else if (isTrace(obj)) {
+        read = readSession(sessionFromTrace(obj, { name: f.name.replace(/\.json$/i, '') }));
+        what = 'imported Chrome trace';
+      } else {
+        read = readSession(obj);
+      }
+    } catch (e) {
+      setStatus(`import failed: ${f.name}: ${e.message}`, false);
+      return;
+    }
+    await persistDebounced.flush();
+    openSession(read.session, { report: read.report });
+    setStatus(importStatus(what, read.report), false);
     recompute();
   };
 
+  ui.btnDropQuarantine.onclick = () => {
+    state.quarantine = [];
+    renderImportReport();
+    persistDebounced();
+  };
+
   ui.btnPermalink.onclick = async () => {
-    const session = { v: 1, startedAt: state.startedAt, savedAt: Date.now(), notes: state.notes, entries: state.entries };
-    const json = encodeSession(session);
-    const hash = '#s=' + compressToEncodedURIComponent(json);
-    const url = location.origin + location.pathname + hash;
-    await navigator.clipboard.writeText(url);
-    setStatus('permalink copied', false);
+    const link = await encodePermalink(currentSession(), permalinkOptions());
+    await navigator.clipboard.writeText(link.url);
+    const chars = `${link.length.toLocaleString()} chars`;
+    if (!link.truncated) setStatus(`permalink copied (${chars})`, false);
+    else if (link.fits) setStatus(`permalink too long: copied the top ${link.kept} of ${link.total} entries plus a summary (${chars})`, false);
+    else setStatus(`permalink copied, but even without entries it is over the limit (${chars}); export JSON instead`, false);
   };
+
+  const onPermalinkOptions = () => {
+    state.permalink = {
+      precision: Number(ui.permalinkPrecision.value),
+      limit: Number(ui.permalinkLimit.value),
+      lean: ui.permalinkLean.checked,
+    };
+    library.setSetting('permalink', state.permalink);
+    estimatePermalink();
+  };
+  ui.permalinkPrecision.onchange = onPermalinkOptions;
+  ui.permalinkLimit.onchange = onPermalinkOptions;
+  ui.permalinkLean.onchange = onPermalinkOptions;
+}
+
+function download(text, type, filename) {
+  const blob = new Blob([text], { type });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+function fileStamp() {
+  return new Date().toISOString().replace(/[:.]/g,'-');
 }
 
 function escapeHtml(s) {
   return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
 }
 
+function nameTail(url) {
+  if (!url) return '';
+  try {
+    return new URL(url, location.href).pathname.split('/').pop() || url;
+  } catch {
+    return url;
+  }
+}
+
 function shorten(s, n) {
   s = s || '';
   if (s.length <= n) return s;
   return s.slice(0, n-1) + '…';
 }
 
+// `flush()` runs a pending call right away (and returns its result).
 function debounce(fn, ms) {
   let t = null;
-  return (...args) => {
+  let pending = null;
+  const debounced = (...args) => {
     clearTimeout(t);
-    t = setTimeout(() => fn(...args), ms);
+    pending = args;
+    t = setTimeout(() => debounced.flush(), ms);
+  };
+  debounced.flush = () => {
+    clearTimeout(t);
+    if (!pending) return undefined;
+    const args = pending;
+    pending = null;
+    return fn(...args);
+  };
+  return debounced;
+}
+
+// Redraw at most once per frame while zooming/panning.
+function rafThrottle(fn) {
+  let queued = false;
+  return () => {
+    if (queued) return;
+    queued = true;
+    requestAnimationFrame(() => { queued = false; fn(); });
   };
 }
 
 // Boot
+ui.outlierMetric.innerHTML = [...OUTLIER_METRICS, { key: 'multivariate', label: 'multivariate (robust Mahalanobis)' }]
+  .map(m => `<option value="${m.key}">${m.label}</option>`).join('');
+ui.originGroup.innerHTML = BREAKDOWN_GROUPS.map(g => `<option value="${g.key}">${g.label}</option>`).join('');
+ui.originGroup.value = state.originGroup;
+ui.outlierGroup.innerHTML = OUTLIER_GROUPS.map(g => `<option value="${g.key}">${g.label}</option>`).join('');
+ui.permalinkPrecision.innerHTML = PERMALINK_PRECISIONS.map(p => `<option value="${p.key}">${p.label}</option>`).join('');
+ui.permalinkLimit.innerHTML = PERMALINK_LIMITS.map(l => `<option value="${l.key}">${l.label}</option>`).join('');
 renderChips();
+renderFeatureChips();
+renderMilestoneChips();
+const redrawMain = rafThrottle(drawMainWaterfall);
+bindWaterfallNav(ui.wf, state.view, { getPick: () => wfPick, onChange: redrawMain });
+bindWaterfallNav(ui.series, state.view, { getPick: () => seriesPick, onChange: redrawMain });
+ui.series.addEventListener('mousemove', onSeriesHover);
+ui.series.addEventListener('mouseleave', () => { ui.seriesOverlay.innerHTML = ''; });
+bindWaterfallNav(ui.diffWf, state.diffView, { getPick: () => diffPick, onChange: rafThrottle(() => state.diff && drawDiffWaterfall()) });
 ui.kLabel.textContent = String(state.k);
 
 // Remote probe UI
 state.probeToken = randToken();
+probes.setToken(state.probeToken);
 refreshProbeUI();
 ui.btnNewProbe?.addEventListener('click', () => {
   state.probeToken = randToken();
-  state.probeConnected = false;
-  state.probeSource = null;
+  probes.setToken(state.probeToken);
   refreshProbeUI();
+  followRelay();
   setStatus('new probe token created', false);
 });
 ui.btnCopyProbe?.addEventListener('click', async () => {
@@ -548,54 +1783,67 @@ ui.btnCopyProbe?.addEventListener('click', async () => {
   }
 });
 
-// Receive entries from a remote probe via postMessage.
-window.addEventListener('message', (ev) => {
-  const d = ev.data;
-  if (!d || d.__perfscope !== true) return;
-  if (d.token !== state.probeToken) return;
-
-  state.probeConnected = true;
-  state.probeSource = d.payload?.href || ev.origin || 'remote';
-
-  if (d.kind === 'hello'){
-    setStatus('remote probe connected', true);
-    return;
-  }
+const saveProbeSettings = () => library.setSetting('probe', { transport: state.probeTransport, relayUrl: state.relayUrl });
+ui.probeTransport.onchange = () => {
+  state.probeTransport = ui.probeTransport.value;
+  refreshProbeUI();
+  saveProbeSettings();
+};
+ui.relayUrl.oninput = debounce(() => {
+  state.relayUrl = ui.relayUrl.value.trim();
+  refreshProbeUI();
+  followRelay();
+  saveProbeSettings();
+}, 400);
 
-  if (d.kind === 'entries'){
-    const incoming = Array.isArray(d.payload?.entries) ? d.payload.entries : [];
-    // Assign ids locally and tag as remote.
-    for (const e of incoming){
-      state.entries.push({
-        id: crypto.randomUUID?.() || ('r_' + Math.random().toString(16).slice(2)),
-        ...e,
-        _remote: true,
-      });
-    }
-    ui.entryCount.textContent = `${filteredEntries().length} entries`;
-    // recompute occasionally to keep UI responsive
-    if (state.entries.length % 40 === 0) recompute();
-    persistDebounced();
-  }
-});
+// Receive entries from remote probes; the hub verifies signatures and origins.
+listenWindow((env, origin) => probes.receive(env, origin));
+listenBroadcast((env, origin) => probes.receive(env, origin));
+setInterval(() => probes.tick(), 1000);
 
 const recorder = createRecorder();
+const library = createLibrary();
 installHandlers(recorder);
 
+await library.init();
+
+const probeSettings = await library.getSetting('probe');
+if (probeSettings) {
+  state.probeTransport = probeSettings.transport || 'auto';
+  state.relayUrl = probeSettings.relayUrl || '';
+  ui.probeTransport.value = state.probeTransport;
+  ui.relayUrl.value = state.relayUrl;
+  refreshProbeUI();
+}
+followRelay();
+
+state.permalink = { ...state.permalink, ...(await library.getSetting('permalink')) };
+ui.permalinkPrecision.value = String(state.permalink.precision);
+ui.permalinkLimit.value = String(state.permalink.limit);
+ui.permalinkLean.checked = state.permalink.lean;
+
+state.savedFilters = (await library.getSetting('filters')) || [];
+renderSavedFilters();
+
+const vendorMap = (await library.getSetting('vendorMap')) ?? DEFAULT_VENDOR_MAP;
+ui.vendorMap.value = vendorMap;
+state.vendors = parseVendorMap(vendorMap).rules;
+
 await loadFromPermalinkOrStorage();
 
 // Keep UI consistent if hash changes (paste shared link)
 window.addEventListener('hashchange', loadFromPermalinkOrStorage);
 
 // Re-render on resize (canvas is resolution dependent)
-window.addEventListener('resize', debounce(() => render(filteredEntries()), 150));
+window.addEventListener('resize', debounce(() => {
+  render(filteredEntries());
+  if (state.diff) renderDiff();
+}, 150));
 
 // Keyboard shortcuts
 window.addEventListener('keydown', (ev) => {
-  if (ev.target && ['INPUT','TEXTAREA','SELECT'].includes(ev.target.tagName)) {
-    // allow / to focus filter even when not already typing
-    if (ev.key !== '/') return;
-  }
+  // Keys typed into fields are text, not shortcuts (filter regexes and URLs need "/").
+  if (ev.target && ['INPUT','TEXTAREA','SELECT'].includes(ev.target.tagName)) return;
   if (ev.key === 'r' || ev.key === 'R') {
     ev.preventDefault();
     if (state.recording) ui.btnStop.click();
@@ -609,4 +1857,13 @@ window.addEventListener('keydown', (ev) => {
     ev.preventDefault();
     ui.filterText.focus();
   }
+  if (['+', '=', '-', '0'].includes(ev.key) && !ev.ctrlKey && !ev.metaKey && wfPick) {
+    ev.preventDefault();
+    if (ev.key === '0') resetView(state.view);
+    else {
+      const [t0, t1] = wfPick.visible;
+      zoomView(state.view, wfPick, (t0 + t1) / 2, ev.key === '-' ? 1.5 : 1 / 1.5);
+    }
+    drawMainWaterfall();
+  }
 });
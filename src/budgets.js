@@ -0,0 +1,176 @@
+// Performance budgets: parse "metric < limit" rules and evaluate them against session entries.
+
+import { percentile } from './stats.js';
+import { computeLCP } from './vitals.js';
+import { registrableDomain } from './psl.js';
+
+// kind decides the accepted units and how values are printed.
+export const BUDGET_METRICS = {
+  totalBytes: { kind: 'bytes', label: 'total transfer size' },
+  thirdPartyBytes: { kind: 'bytes', label: 'third-party transfer size' },
+  requests: { kind: 'count', label: 'requests' },
+  resourceP95: { kind: 'ms', label: 'p95 resource duration' },
+  longtasks: { kind: 'count', label: 'long tasks', over: 50 },
+  fcp: { kind: 'ms', label: 'First Contentful Paint' },
+  lcp: { kind: 'ms', label: 'Largest Contentful Paint' },
+};
+
+const UNITS = {
+  bytes: { B: 1, KB: 1024, MB: 1024 * 1024 },
+  ms: { ms: 1, s: 1000 },
+  count: {},
+};
+
+const LINE_RE = /^([a-z0-9]+)(?:\s+over\s+([\d.]+)\s*(ms|s)?)?\s*(<=|<)\s*([\d.]+)\s*([a-z]+)?$/i;
+
+// One budget per line, e.g. "totalBytes < 1.5MB", "longtasks over 100ms <= 2", "fcp < 1.8s".
+// Blank lines and "#" comments are ignored. Returns { budgets, errors: [{ line, message }] }.
+export function parseBudgets(text) {
+  const budgets = [];
+  const errors = [];
+  String(text || '').split('\n').forEach((raw, i) => {
+    const line = raw.replace(/#.*/, '').trim();
+    if (!line) return;
+    const m = LINE_RE.exec(line);
+    if (!m) {
+      errors.push({ line: i + 1, message: `expected "metric < value", got "${line}"` });
+      return;
+    }
+    const [, metricRaw, overRaw, overUnit, op, valueRaw, unitRaw] = m;
+    const metric = Object.keys(BUDGET_METRICS).find(k => k.toLowerCase() === metricRaw.toLowerCase());
+    if (!metric) {
+      errors.push({ line: i + 1, message: `unknown metric "${metricRaw}" (${Object.keys(BUDGET_METRICS).join(', ')})` });
+      return;
+    }
+    const def = BUDGET_METRICS[metric];
+    const unit = unitRaw && Object.keys(UNITS[def.kind]).find(u => u.toLowerCase() === unitRaw.toLowerCase());
+    const scale = !unitRaw ? 1 : unit ? UNITS[def.kind][unit] : null;
+    if (scale == null) {
+      errors.push({ line: i + 1, message: `"${unitRaw}" is not a unit for ${metric}` });
+      return;
+    }
+    if (overRaw != null && def.over == null) {
+      errors.push({ line: i + 1, message: `"over" only applies to longtasks` });
+      return;
+    }
+    const budget = { metric, op, limit: Number(valueRaw) * scale };
+    if (overRaw != null) budget.over = Number(overRaw) * (overUnit === 's' ? 1000 : 1);
+    budgets.push(budget);
+  });
+  return { budgets, errors };
+}
+
+export function formatBudgetValue(metric, value) {
+  const kind = BUDGET_METRICS[metric]?.kind;
+  if (value == null || !Number.isFinite(value)) return '—';
+  if (kind === 'bytes') {
+    if (value >= 1024 * 1024) return `${+(value / (1024 * 1024)).toFixed(2)}MB`;
+    if (value >= 1024) return `${+(value / 1024).toFixed(1)}KB`;
+    return `${Math.round(value)}B`;
+  }
+  if (kind === 'ms') return value >= 1000 ? `${+(value / 1000).toFixed(2)}s` : `${+value.toFixed(1)}ms`;
+  return String(value);
+}
+
+// Limits print in the largest unit that parses back to the same number, so the
+// editor text round-trips ("100000B" stays 100000, not 97.7KB).
+function formatLimit(metric, value) {
+  const units = Object.entries(UNITS[BUDGET_METRICS[metric]?.kind] || {}).sort((x, y) => y[1] - x[1]);
+  for (const [unit, scale] of units) {
+    const n = +(value / scale).toFixed(3);
+    if (n >= 1 && n * scale === value) return `${n}${unit}`;
+  }
+  return String(value);
+}
+
+export function formatBudget(b) {
+  const over = b.over != null ? ` over ${b.over}ms` : '';
+  return `${b.metric}${over} ${b.op} ${formatLimit(b.metric, b.limit)}`;
+}
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+};
+
+// The page's host: the navigation entry, else the first resource requested.
+export function firstPartyHost(entries) {
+  const nav = entries.find(e => e.entryType === 'navigation');
+  if (nav) return hostOf(nav.name);
+  const first = entries
+    .filter(e => e.entryType === 'resource')
+    .reduce((a, b) => (!a || b.startTime < a.startTime ? b : a), null);
+  return first ? hostOf(first.name) : '';
+}
+
+// Anything on the page's registrable domain (cdn.example.co.uk for www.example.co.uk)
+// counts as first party.
+export function isThirdParty(url, host) {
+  if (!host) return false;
+  const h = hostOf(url);
+  if (!h) return false;
+  return registrableDomain(h) !== registrableDomain(host);
+}
+
+const bytesOf = (e) => e.transferSize || 0;
+const byBytes = (a, b) => bytesOf(b) - bytesOf(a);
+
+// { actual, offenders } for one budget; actual is null when the session can't answer it.
+function measure(b, entries, host) {
+  const network = entries.filter(e => e.entryType === 'resource' || e.entryType === 'navigation');
+  const resources = entries.filter(e => e.entryType === 'resource');
+  switch (b.metric) {
+    case 'totalBytes':
+      return { actual: network.reduce((s, e) => s + bytesOf(e), 0), offenders: network.slice().sort(byBytes) };
+    case 'thirdPartyBytes': {
+      const third = network.filter(e => isThirdParty(e.name, host));
+      return { actual: third.reduce((s, e) => s + bytesOf(e), 0), offenders: third.sort(byBytes) };
+    }
+    case 'requests':
+      return { actual: network.length, offenders: [] };
+    case 'resourceP95': {
+      const durations = resources.map(e => e.duration).filter(Number.isFinite);
+      if (!durations.length) return { actual: null, offenders: [] };
+      return {
+        actual: percentile(durations, 0.95),
+        offenders: resources.filter(e => e.duration > b.limit).sort((x, y) => y.duration - x.duration),
+      };
+    }
+    case 'longtasks': {
+      const over = b.over ?? BUDGET_METRICS.longtasks.over;
+      const tasks = entries
+        .filter(e => e.entryType === 'longtask' && e.duration > over)
+        .sort((x, y) => y.duration - x.duration);
+      return { actual: tasks.length, offenders: tasks };
+    }
+    case 'fcp': {
+      const fcp = entries.find(e => e.entryType === 'paint' && e.name === 'first-contentful-paint');
+      return fcp ? { actual: fcp.startTime, offenders: [fcp] } : { actual: null, offenders: [] };
+    }
+    case 'lcp': {
+      const lcp = computeLCP(entries);
+      return lcp ? { actual: lcp.value, offenders: [lcp.entry] } : { actual: null, offenders: [] };
+    }
+    default:
+      return { actual: null, offenders: [] };
+  }
+}
+
+// [{ budget, label, actual, pass, offenders }]. pass is null when the metric is missing
+// (e.g. no paint entries); offenders are only listed for failing budgets.
+export function evaluateBudgets(budgets, entries, { host = firstPartyHost(entries) } = {}) {
+  return (budgets || []).map(b => {
+    const { actual, offenders } = measure(b, entries, host);
+    const pass = actual == null ? null : b.op === '<' ? actual < b.limit : actual <= b.limit;
+    return {
+      budget: b,
+      label: BUDGET_METRICS[b.metric]?.label || b.metric,
+      actual,
+      pass,
+      offenders: pass === false ? offenders : [],
+    };
+  });
+}
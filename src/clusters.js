@@ -0,0 +1,176 @@
+// Entry clustering (k-means or DBSCAN over selectable features), automatic k selection
+// and human-readable cluster profiles.
+
+import { kmeans, dbscan, normalizeRows, silhouette, percentile } from './stats.js';
+import { PHASES, resourcePhases } from './timing.js';
+
+// Fixed so the same session always clusters the same way, in the app and in CI.
+export const KMEANS_SEED = 1337;
+
+// Candidate k for "auto" (the slider's range).
+export const AUTO_K_RANGE = [2, 9];
+
+// Plural nouns for cluster labels, by initiatorType (fetches) or entryType (everything else).
+const KIND_NOUNS = {
+  img: 'images', image: 'images', script: 'scripts', link: 'stylesheets', css: 'CSS assets',
+  fetch: 'API calls', xmlhttprequest: 'API calls', beacon: 'beacons', navigation: 'documents',
+  iframe: 'frames', video: 'media', audio: 'media', other: 'requests',
+  longtask: 'long tasks', 'long-animation-frame': 'long frames', paint: 'paints', mark: 'marks', measure: 'measures',
+  event: 'interactions', 'first-input': 'first inputs', 'layout-shift': 'layout shifts', 'largest-contentful-paint': 'LCP candidates',
+};
+
+const kindOf = (e) => (e.entryType === 'resource' ? e.initiatorType || 'other' : e.entryType === 'navigation' ? 'navigation' : e.entryType);
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+};
+
+// Most common value and its share of `values`.
+function dominant(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  for (const [value, n] of counts) if (!best || n > best.n) best = { value, n };
+  return best ? { value: best.value, share: best.n / values.length } : { value: '', share: 0 };
+}
+
+const isNetwork = (e) => e.entryType === 'resource' || e.entryType === 'navigation';
+const logBytes = (v) => Math.log10(1 + (v || 0));
+
+// Numeric features (`value`) become one column; categorical ones (`category`) one 0/1
+// column per distinct value. `network` features only exist on resource/navigation
+// entries, so selecting any of them restricts clustering to those. `phase` features
+// also leave out entries without a phase breakdown (TAO-restricted cross-origin).
+export const CLUSTER_FEATURES = [
+  { key: 'startTime', label: 'start', value: e => e.startTime },
+  { key: 'duration', label: 'duration', value: e => e.duration },
+  { key: 'transferSize', label: 'transfer size', network: true, value: e => logBytes(e.transferSize ?? e.encodedBodySize) },
+  { key: 'encodedBodySize', label: 'encoded body', network: true, value: e => logBytes(e.encodedBodySize) },
+  { key: 'decodedBodySize', label: 'decoded body', network: true, value: e => logBytes(e.decodedBodySize) },
+  { key: 'compression', label: 'compression ratio', network: true, value: e => (e.encodedBodySize > 0 ? e.decodedBodySize / e.encodedBodySize : 1) },
+  ...PHASES.map(p => ({ key: p, label: p, network: true, phase: true, value: e => resourcePhases(e)?.[p] })),
+  { key: 'protocol', label: 'protocol', network: true, category: e => e.nextHopProtocol || '?' },
+  { key: 'initiatorType', label: 'initiator', network: true, category: e => e.initiatorType || 'other' },
+  { key: 'host', label: 'host', network: true, category: e => hostOf(e.name) || '?' },
+];
+
+export const DEFAULT_FEATURES = ['startTime', 'duration', 'transferSize'];
+
+// Rows of raw feature values (columns in CLUSTER_FEATURES order, whatever order `keys` is in).
+export function featureMatrix(members, keys) {
+  const cols = [];
+  for (const f of CLUSTER_FEATURES.filter(f => keys.includes(f.key))) {
+    if (f.value) {
+      cols.push(members.map(e => {
+        const v = f.value(e);
+        return Number.isFinite(v) ? v : 0;
+      }));
+    } else {
+      const vals = members.map(f.category);
+      for (const v of [...new Set(vals)].sort()) cols.push(vals.map(x => (x === v ? 1 : 0)));
+    }
+  }
+  return members.map((_, i) => cols.map(c => c[i]));
+}
+
+// Clusters entries on the standardized `features`.
+// - kmeans: `k` is a number or 'auto' (best mean silhouette over AUTO_K_RANGE, ties go
+//   to the smaller k).
+// - dbscan: `minPts` and `eps` (in standard deviations; null picks it from the data);
+//   the number of clusters follows from the density and outliers become noise (-1).
+// Returns null when there are too few entries, else { assign: Map(id → cluster),
+// algorithm, k, auto, scores: [{ k, silhouette }], noise, unphased, eps, features, profiles },
+// where `unphased` counts entries left out for lacking the selected phase features.
+export function clusterEntries(entries, {
+  algorithm = 'kmeans', k = 5, features = DEFAULT_FEATURES, minPts = 5, eps = null,
+  seed = KMEANS_SEED, iters = 30,
+} = {}) {
+  if (!features.length) return null;
+  const network = CLUSTER_FEATURES.some(f => f.network && features.includes(f.key));
+  const phase = CLUSTER_FEATURES.some(f => f.phase && features.includes(f.key));
+  const candidates = entries.filter(e => (network ? isNetwork(e) : Number.isFinite(e.startTime)));
+  const members = phase ? candidates.filter(e => resourcePhases(e)) : candidates;
+  const auto = algorithm === 'kmeans' && k === 'auto';
+  const minRows = algorithm === 'dbscan' ? minPts : auto ? AUTO_K_RANGE[0] + 1 : k;
+  if (!members.length || members.length < minRows) return null;
+
+  const X = normalizeRows(featureMatrix(members, features));
+  let best = null;
+  const scores = [];
+  if (algorithm === 'dbscan') {
+    const db = dbscan(X, { eps, minPts });
+    best = { k: db.k, assign: db.assign, eps: db.eps };
+  } else if (auto) {
+    for (let kk = AUTO_K_RANGE[0]; kk <= Math.min(AUTO_K_RANGE[1], members.length - 1); kk++) {
+      const km = kmeans(X, kk, { seed, iters });
+      const score = silhouette(X, km.assign, kk);
+      scores.push({ k: kk, silhouette: score });
+      if (!best || score > best.score) best = { k: kk, assign: km.assign, score };
+    }
+  } else {
+    best = { k, assign: kmeans(X, k, { seed, iters }).assign };
+  }
+
+  const assign = new Map();
+  members.forEach((e, i) => assign.set(e.id, best.assign[i]));
+  return {
+    assign,
+    algorithm,
+    k: best.k,
+    auto,
+    scores,
+    noise: best.assign.filter(c => c === -1).length,
+    unphased: candidates.length - members.length,
+    eps: best.eps ?? null,
+    features: CLUSTER_FEATURES.filter(f => features.includes(f.key)).map(f => f.key),
+    profiles: clusterProfiles(members, best.assign, best.k),
+  };
+}
+
+// Per cluster (noise excluded): member count, centroid back in ms/bytes (bytes as the
+// geometric mean, matching the log feature), dominant initiatorType and host, and a
+// short label ("late, large images") comparing the centroid against the whole session.
+export function clusterProfiles(members, assign, k) {
+  const starts = members.map(e => e.startTime);
+  const durs = members.map(e => e.duration);
+  const sizes = members.map(e => logBytes(e.transferSize ?? e.encodedBodySize));
+  const tertiles = (xs) => [percentile(xs, 1 / 3), percentile(xs, 2 / 3)];
+  const [early, late] = tertiles(starts);
+  const [small, large] = tertiles(sizes);
+  const fast = percentile(durs, 0.25);
+  const slow = percentile(durs, 0.75);
+
+  return Array.from({ length: k }, (_, c) => {
+    const idx = members.map((_, i) => i).filter(i => assign[i] === c);
+    if (!idx.length) return { cluster: c, count: 0, label: 'empty' };
+    const mean = (xs) => idx.reduce((s, i) => s + xs[i], 0) / idx.length;
+    const startTime = mean(starts);
+    const duration = mean(durs);
+    const logB = mean(sizes);
+    const initiatorType = dominant(idx.map(i => kindOf(members[i])));
+    const host = dominant(idx.map(i => hostOf(members[i].name)));
+
+    const words = [startTime <= early ? 'early' : startTime >= late ? 'late' : 'mid-load'];
+    // Skip size when it doesn't vary (e.g. no network entries among the members).
+    if (large > small) words.push(logB <= small ? 'small' : logB >= large ? 'large' : 'medium');
+    if (duration >= slow) words.push('slow');
+    else if (duration <= fast) words.push('fast');
+    const noun = initiatorType.share >= 0.6 ? (KIND_NOUNS[initiatorType.value] || `${initiatorType.value} requests`)
+      : idx.every(i => isNetwork(members[i])) ? 'mixed requests' : 'mixed entries';
+
+    return {
+      cluster: c,
+      count: idx.length,
+      startTime,
+      duration,
+      bytes: 10 ** logB - 1,
+      initiatorType,
+      host,
+      label: `${words.join(', ')} ${noun}`,
+    };
+  });
+}
@@ -0,0 +1,95 @@
+// Session diffing: match resources across two captures and report per-entry deltas.
+
+import { resourcePhases, PHASES } from './timing.js';
+
+// Query params that only bust caches and never identify a different resource.
+const CACHE_BUSTERS = new Set(['_', 'v', 'ver', 'cb', 't', 'ts', 'cachebust', 'rev']);
+
+// Normalize a URL so the "same" resource matches across deploys:
+// drop the fragment and cache-busting params, sort the query, and
+// collapse fingerprinted path segments (app.3f9a1c2e.js → app.[hash].js).
+export function normalizeUrl(url) {
+  if (!url) return '';
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return String(url);
+  }
+  const params = [...u.searchParams.entries()]
+    .filter(([k]) => !CACHE_BUSTERS.has(k.toLowerCase()))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = params.length ? '?' + new URLSearchParams(params).toString() : '';
+  const path = u.pathname.replace(/(^|[./_-])[0-9a-f]{8,}(?=[./_-]|$)/gi, '$1[hash]');
+  return `${u.protocol}//${u.host.toLowerCase()}${path}${query}`;
+}
+
+const metricsOf = (e) => {
+  const phases = resourcePhases(e) || {};
+  const m = { duration: e.duration, transferSize: e.transferSize };
+  for (const p of PHASES) m[p] = phases[p];
+  return m;
+};
+
+export const DIFF_METRICS = ['duration', 'transferSize', ...PHASES];
+
+// Pair resource entries of `a` (baseline) and `b` (comparison) by normalized URL.
+// Repeated URLs are paired in start-time order. A matched pair is "changed" when
+// its duration moves by at least max(minDeltaMs, relDelta × baseline) or its
+// transferSize moves by more than relDelta.
+export function diffSessions(a, b, { minDeltaMs = 10, relDelta = 0.2 } = {}) {
+  const group = (entries) => {
+    const m = new Map();
+    entries
+      .filter(e => e.entryType === 'resource')
+      .slice()
+      .sort((x, y) => x.startTime - y.startTime)
+      .forEach(e => {
+        const key = normalizeUrl(e.name);
+        if (!m.has(key)) m.set(key, []);
+        m.get(key).push(e);
+      });
+    return m;
+  };
+
+  const ga = group(a);
+  const gb = group(b);
+  const keys = new Set([...ga.keys(), ...gb.keys()]);
+  const rows = [];
+
+  for (const key of keys) {
+    const la = ga.get(key) || [];
+    const lb = gb.get(key) || [];
+    for (let i = 0; i < Math.max(la.length, lb.length); i++) {
+      const ea = la[i] || null;
+      const eb = lb[i] || null;
+      if (!ea) { rows.push({ key, status: 'added', a: null, b: eb, deltas: null }); continue; }
+      if (!eb) { rows.push({ key, status: 'removed', a: ea, b: null, deltas: null }); continue; }
+
+      const ma = metricsOf(ea);
+      const mb = metricsOf(eb);
+      const deltas = {};
+      for (const k of DIFF_METRICS) {
+        deltas[k] = Number.isFinite(ma[k]) && Number.isFinite(mb[k]) ? mb[k] - ma[k] : null;
+      }
+      const durMoved = deltas.duration != null
+        && Math.abs(deltas.duration) >= Math.max(minDeltaMs, relDelta * ma.duration);
+      const sizeMoved = deltas.transferSize != null
+        && Math.abs(deltas.transferSize) > relDelta * Math.max(1, ma.transferSize);
+      rows.push({ key, status: durMoved || sizeMoved ? 'changed' : 'same', a: ea, b: eb, deltas });
+    }
+  }
+
+  const order = { changed: 0, added: 1, removed: 2, same: 3 };
+  rows.sort((x, y) => (order[x.status] - order[y.status])
+    || (Math.abs(y.deltas?.duration ?? 0) - Math.abs(x.deltas?.duration ?? 0))
+    || (x.key < y.key ? -1 : 1));
+
+  const summary = { added: 0, removed: 0, changed: 0, same: 0, bytesDelta: 0 };
+  for (const r of rows) {
+    summary[r.status]++;
+    summary.bytesDelta += (r.b?.transferSize || 0) - (r.a?.transferSize || 0);
+  }
+
+  return { rows, summary };
+}
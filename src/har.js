@@ -0,0 +1,257 @@
+// HAR 1.2 <-> PerfScope session conversion.
+// HAR `timings` are per-phase durations; PerfScope entries carry Resource Timing
+// timestamps relative to the page's time origin. Conversions walk the phases in order.
+// Entry annotations become the request's `comment`; range annotations go in the page's
+// `_annotations` as { text, start, end } in ms from the page start. Entries without a
+// phase breakdown (cross-origin without Timing-Allow-Origin) are written with -1 for the
+// phases HAR allows to be unknown and `_timingRestricted: true`, and read back zeroed.
+
+import { SESSION_VERSION } from './schema.js';
+
+const VERSION_TO_PROTOCOL = { 'http/1.0': 'http/1.0', 'http/1.1': 'http/1.1', 'http/2': 'h2', 'http/2.0': 'h2', 'h2': 'h2', 'http/3': 'h3', 'h3': 'h3' };
+const PROTOCOL_TO_VERSION = { 'http/1.0': 'HTTP/1.0', 'http/1.1': 'HTTP/1.1', 'h2': 'HTTP/2.0', 'h3': 'HTTP/3' };
+
+// Chromium's `_resourceType` → Resource Timing `initiatorType`.
+const RESOURCE_TYPE_TO_INITIATOR = {
+  script: 'script', stylesheet: 'link', image: 'img', media: 'video', font: 'css',
+  xhr: 'xmlhttprequest', fetch: 'fetch', ping: 'beacon', other: 'other',
+};
+
+const EXT_MIME = {
+  js: 'application/javascript', mjs: 'application/javascript', css: 'text/css', html: 'text/html', json: 'application/json',
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', svg: 'image/svg+xml',
+  woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', mp4: 'video/mp4', webm: 'video/webm',
+};
+
+export function isHar(obj) {
+  return !!obj && typeof obj === 'object' && !!obj.log && Array.isArray(obj.log.entries);
+}
+
+const dur = (v) => (Number.isFinite(v) && v > 0 ? v : 0);
+
+function protocolOf(httpVersion) {
+  return VERSION_TO_PROTOCOL[String(httpVersion || '').toLowerCase()] || '';
+}
+
+function isDocument(h) {
+  if (h._resourceType) return h._resourceType === 'document';
+  return /^text\/html/i.test(h.response?.content?.mimeType || '');
+}
+
+// Convert a parsed HAR document into a session object (v:1 shape).
+export function sessionFromHar(har, { name } = {}) {
+  if (!isHar(har)) throw new Error('not a HAR document');
+  const page = har.log.pages?.[0];
+  const starts = har.log.entries.map(h => Date.parse(h.startedDateTime)).filter(Number.isFinite);
+  const origin = Date.parse(page?.startedDateTime) || (starts.length ? starts.reduce((a, b) => Math.min(a, b)) : Date.now());
+
+  const entries = [];
+  const annotations = [];
+  let navSeen = false;
+  har.log.entries
+    .slice()
+    .sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime))
+    .forEach((h, i) => {
+      const t = h.timings || {};
+      const startTime = Date.parse(h.startedDateTime) - origin;
+      const restricted = h._timingRestricted === true;
+      let cur = startTime + dur(t.blocked);
+
+      const domainLookupStart = cur;
+      cur += dur(t.dns);
+      const domainLookupEnd = cur;
+
+      const connectStart = cur;
+      cur += dur(t.connect); // HAR `connect` includes `ssl`
+      const connectEnd = cur;
+      const secureConnectionStart = dur(t.ssl) ? connectEnd - t.ssl : 0;
+
+      const requestStart = cur;
+      cur += dur(t.send) + dur(t.wait);
+      const responseStart = cur;
+      cur += dur(t.receive);
+      const responseEnd = cur;
+
+      const res = h.response || {};
+      const headersSize = res.headersSize > 0 ? res.headersSize : 0;
+      const bodySize = res.bodySize >= 0 ? res.bodySize : null;
+      const transferSize = Number.isFinite(res._transferSize) ? res._transferSize
+        : bodySize != null ? headersSize + bodySize : 0;
+      const asNav = !navSeen && isDocument(h);
+      navSeen = navSeen || asNav;
+
+      const entry = {
+        id: `h${i + 1}`,
+        entryType: asNav ? 'navigation' : 'resource',
+        name: h.request?.url || '',
+        startTime,
+        duration: Number.isFinite(h.time) && h.time >= 0 ? h.time : responseEnd - startTime,
+        // `_initiatorType` is what sessionToHar writes; the others come from Chromium.
+        initiatorType: asNav ? 'navigation' : (h._initiatorType || RESOURCE_TYPE_TO_INITIATOR[h._resourceType] || h._initiator?.type || 'other'),
+        nextHopProtocol: protocolOf(res.httpVersion || h.request?.httpVersion),
+        responseStatus: res.status,
+        transferSize,
+        encodedBodySize: bodySize ?? res.content?.size ?? 0,
+        decodedBodySize: res.content?.size ?? 0,
+        fetchStart: startTime,
+        // Resource Timing zeroes everything but fetchStart/responseEnd for these.
+        domainLookupStart: restricted ? 0 : domainLookupStart,
+        domainLookupEnd: restricted ? 0 : domainLookupEnd,
+        connectStart: restricted ? 0 : connectStart,
+        secureConnectionStart: restricted ? 0 : secureConnectionStart,
+        connectEnd: restricted ? 0 : connectEnd,
+        requestStart: restricted ? 0 : requestStart,
+        responseStart: restricted ? 0 : responseStart,
+        responseEnd,
+      };
+      if (asNav) {
+        const pt = page?.pageTimings || {};
+        entry.type = 'navigate';
+        if (dur(pt.onContentLoad)) entry.domContentLoadedEventEnd = pt.onContentLoad;
+        if (dur(pt.onLoad)) entry.loadEventEnd = pt.onLoad;
+      }
+      entries.push(entry);
+      if (typeof h.comment === 'string' && h.comment.trim()) {
+        annotations.push({ id: `note-${entry.id}`, text: h.comment.trim(), entryId: entry.id });
+      }
+    });
+  (Array.isArray(page?._annotations) ? page._annotations : []).forEach((a, i) => {
+    if (a && Number.isFinite(a.start) && Number.isFinite(a.end)) {
+      annotations.push({ id: `note-range${i + 1}`, text: String(a.text ?? ''), t0: a.start, t1: a.end });
+    }
+  });
+
+  return {
+    v: SESSION_VERSION,
+    startedAt: origin,
+    timeOrigin: origin,
+    savedAt: Date.now(),
+    name: name || page?.title || '',
+    tags: ['har'],
+    notes: page?.comment || har.log.comment || '',
+    annotations,
+    entries,
+  };
+}
+
+function mimeFor(e) {
+  if (e.entryType === 'navigation') return 'text/html';
+  try {
+    const ext = new URL(e.name).pathname.split('.').pop().toLowerCase();
+    if (EXT_MIME[ext]) return EXT_MIME[ext];
+  } catch {}
+  return 'x-unknown';
+}
+
+// HAR timings for one entry. Unknown phases are -1; send/wait/receive are always >= 0
+// (HAR 1.2 has no "unknown" for them), so restricted entries put the total in `wait`.
+function timingsFor(e) {
+  const has = (v) => Number.isFinite(v) && v > 0;
+  if (isRestricted(e)) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: dur(e.duration), receive: 0 };
+  }
+  const first = [e.domainLookupStart, e.connectStart, e.requestStart].find(has);
+  const dns = has(e.domainLookupStart) ? dur(e.domainLookupEnd - e.domainLookupStart) : -1;
+  const connect = has(e.connectStart) && e.connectEnd > e.connectStart ? e.connectEnd - e.connectStart : -1;
+  const ssl = connect > 0 && has(e.secureConnectionStart) ? dur(e.connectEnd - e.secureConnectionStart) : -1;
+  const blocked = dur(first - e.startTime);
+  return {
+    blocked,
+    dns: dns > 0 ? dns : -1,
+    connect,
+    ssl,
+    // Resource Timing has no request-sent timestamp; whatever lies between the phases
+    // (e.g. connectEnd → requestStart) goes here so the phases add up to the duration.
+    send: dur(e.requestStart - e.startTime - blocked - Math.max(0, dns) - Math.max(0, connect)),
+    wait: dur(e.responseStart - e.requestStart),
+    receive: dur((e.responseEnd || e.responseStart) - e.responseStart),
+  };
+}
+
+// Cross-origin without Timing-Allow-Origin (or otherwise missing): only the total is known.
+const isRestricted = (e) => !(e.requestStart > 0) || !(e.responseStart > 0);
+
+// Convert a session into a HAR 1.2 document. Only navigation/resource entries map to HAR requests.
+// Wall-clock times count from the session's `timeOrigin` (the page's), not from when
+// recording started; sessions without one fall back to `startedAt`.
+export function sessionToHar(session, { creatorVersion = '1' } = {}) {
+  const origin = session.timeOrigin ?? session.startedAt ?? Date.now();
+  const iso = (ms) => new Date(origin + ms).toISOString();
+  const entries = (session.entries || []).filter(e => e.entryType === 'resource' || e.entryType === 'navigation');
+  const nav = entries.find(e => e.entryType === 'navigation');
+  const notes = new Map();
+  const ranges = [];
+  for (const a of session.annotations || []) {
+    if (a.entryId == null) ranges.push({ text: a.text, start: a.t0, end: a.t1 });
+    else notes.set(a.entryId, [...(notes.get(a.entryId) || []), a.text]);
+  }
+
+  const harEntries = entries
+    .slice()
+    .sort((a, b) => a.startTime - b.startTime)
+    .map(e => {
+      const timings = timingsFor(e);
+      // `ssl` is already part of `connect`.
+      const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].reduce((s, k) => s + dur(timings[k]), 0);
+      const httpVersion = PROTOCOL_TO_VERSION[e.nextHopProtocol] || e.nextHopProtocol || '';
+      let queryString = [];
+      try {
+        queryString = [...new URL(e.name).searchParams.entries()].map(([name, value]) => ({ name, value }));
+      } catch {}
+      const decoded = e.decodedBodySize || 0;
+      const encoded = e.encodedBodySize || 0;
+      return {
+        pageref: 'page_1',
+        startedDateTime: iso(e.startTime),
+        time,
+        request: {
+          method: 'GET',
+          url: e.name,
+          httpVersion,
+          cookies: [],
+          headers: [],
+          queryString,
+          headersSize: -1,
+          bodySize: 0,
+        },
+        response: {
+          // Resource Timing only exposes the status in newer browsers; HAR requires one.
+          status: e.responseStatus || 200,
+          statusText: '',
+          httpVersion,
+          cookies: [],
+          headers: [],
+          content: { size: decoded, compression: Math.max(0, decoded - encoded), mimeType: mimeFor(e) },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: e.encodedBodySize ?? -1,
+          _transferSize: e.transferSize ?? 0,
+        },
+        cache: {},
+        timings,
+        ...(isRestricted(e) ? { _timingRestricted: true } : {}),
+        _initiatorType: e.initiatorType,
+        _renderBlockingStatus: e.renderBlockingStatus,
+        ...(notes.has(e.id) ? { comment: notes.get(e.id).join('\n') } : {}),
+      };
+    });
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'PerfScope', version: creatorVersion },
+      pages: [{
+        startedDateTime: new Date(origin).toISOString(),
+        id: 'page_1',
+        title: session.name || nav?.name || 'PerfScope session',
+        pageTimings: {
+          onContentLoad: dur(nav?.domContentLoadedEventEnd) || -1,
+          onLoad: dur(nav?.loadEventEnd) || -1,
+        },
+        comment: session.notes || '',
+        ...(ranges.length ? { _annotations: ranges } : {}),
+      }],
+      entries: harEntries,
+    },
+  };
+}
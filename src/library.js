@@ -0,0 +1,120 @@
+// Session library: named sessions persisted to IndexedDB.
+// Each session is stored as its encodeSession() JSON under its own key; a small
+// index holds the metadata needed to list sessions without loading entries.
+
+import * as idb from 'https://cdn.jsdelivr.net/npm/idb-keyval@6/+esm';
+
+import { encodeSession, decodeSession } from './share.js';
+
+const INDEX_KEY = 'perfscope:sessions';
+const ACTIVE_KEY = 'perfscope:activeSession';
+const LEGACY_KEY = 'perfscope:lastSession';
+const sessionKey = (id) => `perfscope:session:${id}`;
+const settingKey = (name) => `perfscope:setting:${name}`;
+
+export function newSessionId() {
+  return 's' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+export function defaultSessionName(startedAt = Date.now()) {
+  const d = new Date(startedAt);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `Session ${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export function parseTags(text) {
+  const seen = new Set();
+  for (const t of String(text || '').split(',')) {
+    const tag = t.trim().toLowerCase();
+    if (tag) seen.add(tag);
+  }
+  return [...seen];
+}
+
+export function createLibrary() {
+  async function readIndex() {
+    const idx = await idb.get(INDEX_KEY);
+    return Array.isArray(idx) ? idx : [];
+  }
+
+  function metaFor(id, session, json) {
+    return {
+      id,
+      name: session.name || defaultSessionName(session.startedAt),
+      tags: Array.isArray(session.tags) ? session.tags : [],
+      startedAt: session.startedAt,
+      savedAt: session.savedAt,
+      entryCount: Array.isArray(session.entries) ? session.entries.length : 0,
+      bytes: json.length,
+    };
+  }
+
+  async function init() {
+    // One-time migration of the pre-library single slot.
+    const legacy = await idb.get(LEGACY_KEY);
+    if (!legacy?.entries) return;
+    const id = newSessionId();
+    await save(id, { ...legacy, name: legacy.name || defaultSessionName(legacy.startedAt) });
+    await idb.set(ACTIVE_KEY, id);
+    await idb.del(LEGACY_KEY);
+  }
+
+  async function list() {
+    const idx = await readIndex();
+    return idx.slice().sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+  }
+
+  async function load(id) {
+    const json = await idb.get(sessionKey(id));
+    if (json == null) return null;
+    return { ...decodeSession(json), id };
+  }
+
+  async function save(id, session) {
+    const json = encodeSession(session);
+    const meta = metaFor(id, session, json);
+    await idb.set(sessionKey(id), json);
+    await idb.update(INDEX_KEY, (idx) => {
+      const next = Array.isArray(idx) ? idx.filter(m => m.id !== id) : [];
+      next.push(meta);
+      return next;
+    });
+    return meta;
+  }
+
+  // Patch stored metadata fields (name, tags) without touching entries.
+  async function update(id, patch) {
+    const session = await load(id);
+    if (!session) throw new Error(`unknown session ${id}`);
+    return save(id, { ...session, ...patch });
+  }
+
+  async function remove(id) {
+    await idb.del(sessionKey(id));
+    await idb.update(INDEX_KEY, (idx) => (Array.isArray(idx) ? idx.filter(m => m.id !== id) : []));
+    if ((await idb.get(ACTIVE_KEY)) === id) await idb.del(ACTIVE_KEY);
+  }
+
+  const getActive = () => idb.get(ACTIVE_KEY);
+  const setActive = (id) => (id ? idb.set(ACTIVE_KEY, id) : idb.del(ACTIVE_KEY));
+
+  // App preferences that outlive any one session (e.g. the vendor map).
+  const getSetting = (name) => idb.get(settingKey(name));
+  const setSetting = (name, value) => idb.set(settingKey(name), value);
+
+  async function estimate() {
+    const idx = await readIndex();
+    const bytes = idx.reduce((s, m) => s + (m.bytes || 0), 0);
+    let usage = null;
+    let quota = null;
+    try {
+      const est = await navigator.storage?.estimate?.();
+      if (est) { usage = est.usage ?? null; quota = est.quota ?? null; }
+    } catch {
+      // storage estimates are best-effort
+    }
+    return { sessions: idx.length, bytes, usage, quota };
+  }
+
+  return { init, list, load, save, update, remove, getActive, setActive, getSetting, setSetting, estimate };
+}
@@ -0,0 +1,48 @@
+// Page milestones (navigation timing, paints, user marks) for waterfall overlays.
+
+export const MILESTONE_GROUPS = [
+  { key: 'navigation', label: 'navigation', color: 'rgba(125,255,178,0.85)' },
+  { key: 'paint', label: 'paints', color: 'rgba(124,212,255,0.90)' },
+  { key: 'mark', label: 'marks', color: 'rgba(233,238,255,0.70)' },
+];
+
+const NAV_MILESTONES = [
+  { field: 'responseStart', label: 'TTFB' },
+  { field: 'domInteractive', label: 'DOM interactive' },
+  { field: 'domContentLoadedEventEnd', label: 'DCL' },
+  { field: 'loadEventEnd', label: 'load' },
+];
+
+const PAINT_LABELS = { 'first-paint': 'FP', 'first-contentful-paint': 'FCP' };
+
+// [{ group, label, time }] sorted by time. Milestones describe the page, so pass all entries.
+export function collectMilestones(entries, groups = new Set(MILESTONE_GROUPS.map(g => g.key))) {
+  const out = [];
+  const nav = entries.find(e => e.entryType === 'navigation');
+  if (nav && groups.has('navigation')) {
+    for (const m of NAV_MILESTONES) {
+      if (nav[m.field] > 0) out.push({ group: 'navigation', label: m.label, time: nav[m.field] });
+    }
+  }
+  for (const e of entries) {
+    if (e.entryType === 'paint' && groups.has('paint') && Number.isFinite(e.startTime)) {
+      out.push({ group: 'paint', label: PAINT_LABELS[e.name] || e.name, time: e.startTime });
+    } else if (e.entryType === 'mark' && groups.has('mark') && Number.isFinite(e.startTime)) {
+      out.push({ group: 'mark', label: e.name, time: e.startTime });
+    }
+  }
+  const color = Object.fromEntries(MILESTONE_GROUPS.map(g => [g.key, g.color]));
+  return out
+    .map(m => ({ ...m, color: color[m.group] }))
+    .sort((a, b) => a.time - b.time);
+}
+
+// Where an entry sits relative to a milestone: 'before' (finished before it),
+// 'after' (started after it) or 'spans' (in flight at that moment), with the gap in ms.
+export function relativeTo(e, milestone) {
+  const start = e.startTime;
+  const end = e.startTime + (e.duration || 0);
+  if (end <= milestone.time) return { relation: 'before', delta: milestone.time - end };
+  if (start >= milestone.time) return { relation: 'after', delta: start - milestone.time };
+  return { relation: 'spans', delta: milestone.time - start };
+}
@@ -0,0 +1,94 @@
+// Outlier scoring per group and metric, univariate (robust z) or multivariate (robust Mahalanobis).
+
+import { robustZOutliers, robustMahalanobis, chi2ToZ, percentile } from './stats.js';
+import { resourcePhases, isTimingRestricted } from './timing.js';
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+};
+
+// Restricted (no Timing-Allow-Origin) entries have no phases; they're left out of the
+// phase metrics, and so out of the multivariate fit, instead of scoring as zeros.
+const phaseOf = (e, p) => (isTimingRestricted(e) ? undefined : resourcePhases(e)?.[p]);
+
+// `kind` decides how the table formats values.
+export const OUTLIER_METRICS = [
+  { key: 'duration', label: 'duration', kind: 'ms', value: e => e.duration },
+  { key: 'ttfb', label: 'ttfb', kind: 'ms', value: e => phaseOf(e, 'ttfb') },
+  { key: 'download', label: 'download', kind: 'ms', value: e => phaseOf(e, 'download') },
+  { key: 'transferSize', label: 'transfer size', kind: 'bytes', value: e => e.transferSize },
+];
+
+// Groups are scored independently, so a slow mark is compared with marks, not navigations.
+export const OUTLIER_GROUPS = [
+  { key: 'none', label: 'all entries', of: () => 'all' },
+  { key: 'entryType', label: 'entry type', of: e => e.entryType },
+  { key: 'initiatorType', label: 'initiator', of: e => e.initiatorType || e.entryType },
+  { key: 'host', label: 'host', of: e => hostOf(e.name) || e.entryType },
+  { key: 'cluster', label: 'cluster', of: (e, clusters) => (clusters?.has(e.id) ? `cluster ${clusters.get(e.id)}` : 'unclustered') },
+];
+
+// Multivariate mode works on these, with sizes on a log scale like clustering.
+const MULTIVARIATE_METRICS = ['duration', 'ttfb', 'download', 'transferSize'];
+
+const metricOf = (key) => OUTLIER_METRICS.find(m => m.key === key);
+
+// [{ entry, z, group, metric, by, value }] sorted by z, at most topN.
+// - metric: an OUTLIER_METRICS key (robust z on that value), or 'multivariate' (robust
+//   Mahalanobis over duration/ttfb/download/log size, for entries that have all four).
+//   `by` is the metric that flagged the entry (for multivariate, the coordinate that
+//   deviates most) and `value` its value.
+// - groupBy: an OUTLIER_GROUPS key; `clusters` (id → cluster) backs 'cluster'.
+// - Groups with fewer than minGroup scorable entries are skipped.
+export function findOutliers(entries, {
+  metric = 'duration', groupBy = 'none', threshold = 2.5, minGroup = 8, topN = 12, clusters = null,
+} = {}) {
+  const group = (OUTLIER_GROUPS.find(g => g.key === groupBy) || OUTLIER_GROUPS[0]).of;
+  const groups = new Map();
+  for (const e of entries) {
+    const g = group(e, clusters);
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(e);
+  }
+
+  const out = [];
+  for (const [name, members] of groups) {
+    const scored = metric === 'multivariate'
+      ? multivariateOutliers(members, { threshold, minGroup })
+      : robustZOutliers(members, { topN: Infinity, threshold, minSamples: minGroup, value: metricOf(metric).value })
+        .map(o => ({ ...o, metric, by: metric, value: metricOf(metric).value(o.entry) }));
+    for (const o of scored) out.push({ ...o, group: groupBy === 'none' ? 'all' : name });
+  }
+  return out.sort((a, b) => b.z - a.z).slice(0, topN);
+}
+
+function multivariateOutliers(members, { threshold, minGroup }) {
+  const metrics = MULTIVARIATE_METRICS.map(metricOf);
+  const value = (m, e) => (m.kind === 'bytes' ? Math.log10(1 + (m.value(e) || 0)) : m.value(e));
+  const scorable = members.filter(e => metrics.every(m => Number.isFinite(m.value(e))));
+  if (scorable.length < Math.max(minGroup, metrics.length + 2)) return [];
+
+  const rows = scorable.map(e => metrics.map(m => value(m, e)));
+  const d2 = robustMahalanobis(rows);
+
+  // Per-coordinate robust z, to say which metric pushed an entry out.
+  const cols = metrics.map((_, j) => rows.map(r => r[j]));
+  const centre = cols.map(c => percentile(c, 0.5));
+  const spread = cols.map((c, j) => percentile(c.map(x => Math.abs(x - centre[j])), 0.5) / 0.6745 || 1);
+
+  const out = [];
+  scorable.forEach((e, i) => {
+    const z = chi2ToZ(d2[i], metrics.length);
+    if (!(z > threshold)) return;
+    let worst = 0;
+    rows[i].forEach((x, j) => {
+      if (Math.abs(x - centre[j]) / spread[j] > Math.abs(rows[i][worst] - centre[worst]) / spread[worst]) worst = j;
+    });
+    out.push({ entry: e, z, metric: 'multivariate', by: metrics[worst].key, value: metrics[worst].value(e) });
+  });
+  return out;
+}
@@ -0,0 +1,396 @@
+// Compact permalinks: a session packed into a columnar binary form, deflated and
+// base64url-encoded into the URL hash as `#p=…`. Legacy `#s=` links (lz-string
+// compressed JSON, see app.js) still decode.
+//
+// Layout before deflate; integers are LEB128 varints, signed ones zigzagged:
+//   format byte
+//   header: length-prefixed UTF-8 JSON (session fields, options, excerpt, extras)
+//   strings: count, then length-prefixed UTF-8 (URLs, entry types, ids… each stored once)
+//   n: entry count, then startTime for each entry
+//   one block per COLUMNS field: present count, a presence bitmap unless all or none
+//   are present, then one value per present entry
+// Times are quantized to `precision` ms and stored as deltas: startTime against the
+// previous entry, other timestamps against the entry's own startTime. Fields the columns
+// don't cover (serverTiming, scripts, attribution…) travel as JSON in the header.
+// Annotations ride in the header too, pinned by entry position (`at`) so they survive
+// lean links renumbering the ids.
+
+import { percentile } from './stats.js';
+import { SESSION_VERSION } from './schema.js';
+
+const FORMAT = 1;
+
+export const PERMALINK_PRECISIONS = [
+  { key: 0.001, label: '1µs (lossless)' },
+  { key: 0.1, label: '0.1ms' },
+  { key: 1, label: '1ms' },
+];
+// Longest URL a permalink may be; 0 = no limit.
+export const PERMALINK_LIMITS = [
+  { key: 2000, label: '2,000 chars (chat apps)' },
+  { key: 8000, label: '8,000 chars' },
+  { key: 32000, label: '32,000 chars' },
+  { key: 0, label: 'no limit' },
+];
+
+const STR = 'str';
+const TIME = 'time'; // timestamp, stored relative to the entry's startTime
+const SPAN = 'span'; // duration
+const INT = 'int';
+const FRAC = 'frac'; // small fractions (layout-shift value)
+const BOOL = 'bool';
+
+const COLUMNS = [
+  ['id', STR], ['entryType', STR], ['name', STR], ['initiatorType', STR], ['nextHopProtocol', STR],
+  ['renderBlockingStatus', STR], ['deliveryType', STR], ['type', STR], ['source', STR], ['url', STR],
+  ['element', STR], ['culprit', STR],
+  ['duration', SPAN], ['blockingDuration', SPAN],
+  ...['redirectStart', 'redirectEnd', 'fetchStart', 'domainLookupStart', 'domainLookupEnd', 'connectStart',
+    'secureConnectionStart', 'connectEnd', 'requestStart', 'responseStart', 'responseEnd', 'workerStart',
+    'domInteractive', 'domContentLoadedEventEnd', 'loadEventEnd', 'renderTime', 'loadTime', 'processingStart',
+    'processingEnd', 'renderStart', 'styleAndLayoutStart', 'firstUIEventTimestamp'].map(f => [f, TIME]),
+  ['transferSize', INT], ['encodedBodySize', INT], ['decodedBodySize', INT], ['size', INT],
+  ['responseStatus', INT], ['interactionId', INT],
+  ['value', FRAC], ['hadRecentInput', BOOL],
+];
+const FRAC_SCALE = 1e6;
+
+// Entry types a truncated permalink keeps before anything else; the rest go by duration.
+const KEEP_FIRST = new Set(['navigation', 'paint', 'largest-contentful-paint', 'first-input', 'mark', 'measure']);
+
+// --- bytes ---
+
+function createWriter() {
+  let buf = new Uint8Array(4096);
+  let len = 0;
+  const ensure = (n) => {
+    if (len + n <= buf.length) return;
+    const next = new Uint8Array(Math.max(buf.length * 2, len + n));
+    next.set(buf);
+    buf = next;
+  };
+  const byte = (b) => {
+    ensure(1);
+    buf[len++] = b;
+  };
+  // Arithmetic rather than bit ops: values can pass 2^31.
+  const uint = (v) => {
+    while (v >= 128) {
+      byte((v % 128) + 128);
+      v = Math.floor(v / 128);
+    }
+    byte(v);
+  };
+  const int = (v) => uint(v >= 0 ? v * 2 : -v * 2 - 1);
+  const bytes = (b) => {
+    ensure(b.length);
+    buf.set(b, len);
+    len += b.length;
+  };
+  const text = (s) => {
+    const b = new TextEncoder().encode(s);
+    uint(b.length);
+    bytes(b);
+  };
+  return { byte, uint, int, bytes, text, done: () => buf.slice(0, len) };
+}
+
+function createReader(buf) {
+  let pos = 0;
+  const need = (n) => {
+    if (pos + n > buf.length) throw new Error('permalink is truncated');
+  };
+  const byte = () => {
+    need(1);
+    return buf[pos++];
+  };
+  const uint = () => {
+    let v = 0;
+    let scale = 1;
+    for (;;) {
+      const b = byte();
+      v += (b & 127) * scale;
+      if (b < 128) return v;
+      scale *= 128;
+    }
+  };
+  const int = () => {
+    const z = uint();
+    return z % 2 ? -(z + 1) / 2 : z / 2;
+  };
+  const bytes = (n) => {
+    need(n);
+    pos += n;
+    return buf.subarray(pos - n, pos);
+  };
+  const text = () => new TextDecoder().decode(bytes(uint()));
+  return { byte, uint, int, bytes, text };
+}
+
+async function pipe(bytes, stream) {
+  const out = new Response(bytes).body.pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const s = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(s, c => c.charCodeAt(0));
+}
+
+// --- pack / unpack ---
+
+// `lean` drops what the decoder can recompute: ids (renumbered), fetch durations
+// (responseEnd − startTime) and the quarantine.
+function pack(session, entries, { precision, lean, excerpt }) {
+  const q = (v) => Math.round(v / precision);
+  const strings = new Map();
+  const strIndex = (s) => {
+    if (!strings.has(s)) strings.set(s, strings.size);
+    return strings.get(s);
+  };
+  const extras = new Map(); // entry index → fields the columns can't hold
+
+  const fits = (kind, v) => {
+    if (kind === STR) return typeof v === 'string';
+    if (kind === BOOL) return typeof v === 'boolean';
+    if (kind === INT) return Number.isInteger(v);
+    return typeof v === 'number' && Number.isFinite(v);
+  };
+  const derivable = (e) => (e.entryType === 'resource' || e.entryType === 'navigation')
+    && e.responseEnd > 0 && Math.abs(e.duration - (e.responseEnd - e.startTime)) < precision;
+
+  const columns = COLUMNS.map(([field, kind]) => {
+    const present = [];
+    const values = [];
+    entries.forEach((e, i) => {
+      const v = e[field];
+      if (v === undefined) return;
+      if ((lean && field === 'id') || (lean && field === 'duration' && derivable(e))) return;
+      if (!fits(kind, v)) {
+        if (!extras.has(i)) extras.set(i, {});
+        extras.get(i)[field] = v;
+        return;
+      }
+      present.push(i);
+      values.push(kind === STR ? strIndex(v)
+        : kind === TIME ? q(v) - q(e.startTime)
+        : kind === SPAN ? q(v)
+        : kind === FRAC ? Math.round(v * FRAC_SCALE)
+        : kind === BOOL ? +v
+        : v);
+    });
+    return { kind, present, values };
+  });
+
+  const known = new Set(['startTime', ...COLUMNS.map(([f]) => f)]);
+  entries.forEach((e, i) => {
+    for (const [k, v] of Object.entries(e)) {
+      if (known.has(k) || v === undefined) continue;
+      if (!extras.has(i)) extras.set(i, {});
+      extras.get(i)[k] = v;
+    }
+  });
+
+  const position = new Map(entries.map((e, i) => [e.id, i]));
+  const annotations = (session.annotations || []).map(({ entryId, ...a }) => (entryId == null ? a
+    : position.has(entryId) ? { ...a, at: position.get(entryId) }
+    : { ...a, entryId }));
+
+  const header = {
+    startedAt: session.startedAt,
+    timeOrigin: session.timeOrigin ?? null,
+    savedAt: session.savedAt,
+    name: session.name || '',
+    tags: session.tags || [],
+    notes: session.notes || '',
+    budgets: session.budgets || [],
+    sources: session.sources || [],
+    annotations,
+    quarantine: lean ? [] : session.quarantine || [],
+    precision,
+    lean,
+    excerpt: excerpt || null,
+    extras: [...extras],
+  };
+
+  const w = createWriter();
+  w.byte(FORMAT);
+  w.text(JSON.stringify(header));
+  w.uint(strings.size);
+  for (const s of strings.keys()) w.text(s);
+  w.uint(entries.length);
+  let prev = 0;
+  for (const e of entries) {
+    w.int(q(e.startTime) - prev);
+    prev = q(e.startTime);
+  }
+  for (const { kind, present, values } of columns) {
+    w.uint(present.length);
+    if (present.length && present.length < entries.length) {
+      const bits = new Uint8Array(Math.ceil(entries.length / 8));
+      for (const i of present) bits[i >> 3] |= 1 << (i & 7);
+      w.bytes(bits);
+    }
+    for (const v of values) (kind === STR || kind === BOOL ? w.uint : w.int)(v);
+  }
+  return w.done();
+}
+
+function unpack(bytes) {
+  const r = createReader(bytes);
+  const format = r.byte();
+  if (format !== FORMAT) throw new Error(`unknown permalink format ${format}`);
+  const header = JSON.parse(r.text());
+  const { precision } = header;
+  // Quantized values back to ms without float noise (0.1 * 3 → 0.3, not 0.30000000000000004).
+  const ms = (n) => Math.round(n * precision * 1000) / 1000;
+
+  const strings = Array.from({ length: r.uint() }, () => r.text());
+  const n = r.uint();
+  const starts = [];
+  let prev = 0;
+  for (let i = 0; i < n; i++) starts.push(prev += r.int());
+  const entries = starts.map(s => ({ startTime: ms(s) }));
+
+  for (const [field, kind] of COLUMNS) {
+    const count = r.uint();
+    let present;
+    if (count === n) {
+      present = entries.map((_, i) => i);
+    } else if (count) {
+      const bits = r.bytes(Math.ceil(n / 8));
+      present = [];
+      for (let i = 0; i < n; i++) if (bits[i >> 3] & (1 << (i & 7))) present.push(i);
+    } else {
+      present = [];
+    }
+    for (const i of present) {
+      const v = kind === STR || kind === BOOL ? r.uint() : r.int();
+      entries[i][field] = kind === STR ? strings[v]
+        : kind === TIME ? ms(starts[i] + v)
+        : kind === SPAN ? ms(v)
+        : kind === FRAC ? v / FRAC_SCALE
+        : kind === BOOL ? v === 1
+        : v;
+    }
+  }
+  for (const [i, fields] of header.extras || []) Object.assign(entries[i], fields);
+
+  entries.forEach((e, i) => {
+    if (header.lean && e.id === undefined) e.id = `p${i}`;
+    if (header.lean && e.duration === undefined && e.responseEnd > 0) e.duration = Math.round((e.responseEnd - e.startTime) * 1000) / 1000;
+  });
+  const annotations = (header.annotations || []).map(({ at, ...a }) => (at == null ? a : { ...a, entryId: entries[at]?.id }));
+
+  return {
+    v: SESSION_VERSION,
+    startedAt: header.startedAt,
+    ...(header.timeOrigin != null ? { timeOrigin: header.timeOrigin } : {}),
+    savedAt: header.savedAt,
+    name: header.name,
+    tags: header.tags,
+    notes: header.notes,
+    budgets: header.budgets,
+    sources: header.sources,
+    annotations,
+    quarantine: header.quarantine,
+    ...(header.excerpt ? { excerpt: header.excerpt } : {}),
+    entries,
+  };
+}
+
+// --- public ---
+
+// What a truncated permalink says about the whole session.
+export function summarizeEntries(entries) {
+  const byType = {};
+  let bytes = 0;
+  let t0 = Infinity;
+  let t1 = -Infinity;
+  for (const e of entries) {
+    byType[e.entryType] = (byType[e.entryType] || 0) + 1;
+    bytes += e.transferSize || 0;
+    t0 = Math.min(t0, e.startTime);
+    t1 = Math.max(t1, e.startTime + e.duration);
+  }
+  const durations = entries.map(e => e.duration);
+  return {
+    total: entries.length,
+    byType,
+    bytes,
+    p50Duration: percentile(durations, 0.5),
+    p95Duration: percentile(durations, 0.95),
+    span: entries.length ? t1 - t0 : 0,
+  };
+}
+
+// Annotated entries first, then milestones, then the slowest; returned in their original order.
+function topEntries(entries, k, annotated) {
+  const rank = entries.map((e, i) => i).sort((a, b) => {
+    const ea = entries[a];
+    const eb = entries[b];
+    return (annotated.has(eb.id) - annotated.has(ea.id))
+      || (KEEP_FIRST.has(eb.entryType) - KEEP_FIRST.has(ea.entryType))
+      || (eb.duration - ea.duration);
+  });
+  return rank.slice(0, k).sort((a, b) => a - b).map(i => entries[i]);
+}
+
+async function fragmentFor(session, entries, opts) {
+  return '#p=' + toBase64Url(await pipe(pack(session, entries, opts), new CompressionStream('deflate-raw')));
+}
+
+// Build a permalink for `session` under `prefix` (the page URL without its hash).
+// Returns { url, length, kept, total, truncated, fits }. A link longer than `limit`
+// falls back to the most telling entries that fit (annotated ones, milestones, then the slowest) plus
+// a summary of all of them in `excerpt`; `fits` is false when even that is too long.
+// Pass `estimate: true` to skip the fallback search and just measure the full link.
+export async function encodePermalink(session, { prefix = '', precision = 0.1, lean = false, limit = 0, estimate = false } = {}) {
+  const entries = session.entries || [];
+  const opts = { precision, lean };
+  const result = (fragment, kept) => ({
+    url: prefix + fragment,
+    length: prefix.length + fragment.length,
+    kept,
+    total: entries.length,
+    truncated: kept < entries.length,
+    fits: !limit || prefix.length + fragment.length <= limit,
+  });
+
+  const full = result(await fragmentFor(session, entries, opts), entries.length);
+  if (full.fits || estimate || !entries.length) return full;
+
+  const annotated = new Set((session.annotations || []).map(a => a.entryId).filter(id => id != null));
+  const excerpt = { ...summarizeEntries(entries), kept: 0, rank: 'annotated, milestones, then slowest' };
+  const tryK = async (k) => result(await fragmentFor(session, topEntries(entries, k, annotated), { ...opts, excerpt: { ...excerpt, kept: k } }), k);
+  // Largest k that fits; the link grows with k.
+  let best = await tryK(0);
+  if (!best.fits) return best;
+  let lo = 0;
+  let hi = entries.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    const link = await tryK(mid);
+    if (link.fits) {
+      lo = mid;
+      best = link;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return best;
+}
+
+export const isPermalink = (hash) => hash.startsWith('#p=');
+
+// The session in a `#p=` hash, shaped like a saved session (run it through readSession).
+export async function decodePermalink(hash) {
+  const bytes = await pipe(fromBase64Url(hash.slice(3)), new DecompressionStream('deflate-raw'));
+  return unpack(bytes);
+}
@@ -0,0 +1,322 @@
+// Remote probes: a console snippet streams another tab's performance entries here. Each
+// run of the snippet is its own source (id, URL, label), so several tabs can stream at
+// once; their entries are shifted onto this tab's clock using each page's
+// performance.timeOrigin.
+//
+// Transports (see transports.js for the receiving side):
+// - window: postMessage to the PerfScope tab the snippet opens, aimed at its exact origin
+// - broadcast: a BroadcastChannel, for pages on PerfScope's own origin
+// - relay: HTTP POSTs to a relay server (bin/perfscope-relay.mjs) that PerfScope follows over
+//   a WebSocket, for other devices, in-app webviews and popup-blocked pages
+// Every message is signed with HMAC-SHA256 keyed by the probe token, which never leaves
+// the two ends; relays only see a room id derived from it.
+
+import { hmacSha256Hex } from './hmac.js';
+
+export const PROBE_VERSION = 2;
+export const PROBE_TRANSPORTS = ['auto', 'window', 'broadcast', 'relay'];
+export const PROBE_CHANNEL = 'perfscope-probe';
+export const HEARTBEAT_MS = 2000;
+// A source that stays silent this long is shown as disconnected.
+export const DISCONNECT_AFTER_MS = 3 * HEARTBEAT_MS;
+
+// Entries recorded in this tab carry no `source`.
+export const LOCAL_SOURCE = 'local';
+export const sourceOf = (e) => e.source || LOCAL_SOURCE;
+
+const PROBE_ENTRY_TYPES = ['navigation', 'resource', 'paint', 'longtask', 'long-animation-frame', 'mark', 'measure', 'largest-contentful-paint', 'layout-shift', 'event', 'first-input'];
+
+// Relays route by room; the id is derived from the token so the relay can't sign messages.
+export const roomId = (token) => hmacSha256Hex(token, 'perfscope-room').slice(0, 32);
+
+// { __perfscope, v, room, body, sig }: `body` is the JSON of { kind, source, payload, seq }.
+export function sealMessage(token, message) {
+  const body = JSON.stringify(message);
+  return { __perfscope: true, v: PROBE_VERSION, room: roomId(token), body, sig: hmacSha256Hex(token, body) };
+}
+
+// The message inside a sealed envelope, or null when it isn't signed with `token`.
+export function openMessage(envelope, token) {
+  if (!envelope || envelope.__perfscope !== true || envelope.v !== PROBE_VERSION || !token) return null;
+  if (typeof envelope.body !== 'string' || envelope.sig !== hmacSha256Hex(token, envelope.body)) return null;
+  try {
+    return JSON.parse(envelope.body);
+  } catch {
+    return null;
+  }
+}
+
+// transport: one of PROBE_TRANSPORTS. 'auto' opens (or finds) the PerfScope tab and falls
+// back to BroadcastChannel on PerfScope's origin, then to `relayUrl` when set.
+export function buildProbeSnippet({ url, token, transport = 'auto', relayUrl = '' }) {
+  return `(() => {
+  const PERF_SCOPE = ${JSON.stringify(url)};
+  const TOKEN = ${JSON.stringify(token)};
+  const ROOM = ${JSON.stringify(roomId(token))};
+  const TRANSPORT = ${JSON.stringify(transport)}; // auto | window | broadcast | relay
+  const RELAY = ${JSON.stringify(relayUrl)}; // must be reachable from this device
+  const ENTRY_TYPES = ${JSON.stringify(PROBE_ENTRY_TYPES)};
+  // Shown in PerfScope's source list and lanes; edit before pasting if you like.
+  const LABEL = document.title || location.host;
+
+  const hmac = ${hmacSha256Hex.toString()};
+
+  const openWindow = () => {
+    // Reuse an open PerfScope tab without reloading it; only open it when missing.
+    const win = window.open('', 'perfscope');
+    if (!win) return null;
+    try {
+      if (win.location.href === 'about:blank') win.location.href = PERF_SCOPE;
+    } catch {
+      // Cross-origin: PerfScope is already there.
+    }
+    const target = new URL(PERF_SCOPE).origin;
+    return { name: 'window', send: (env) => win.postMessage(env, target) };
+  };
+  const openBroadcast = () => {
+    if (typeof BroadcastChannel === 'undefined' || new URL(PERF_SCOPE).origin !== location.origin) return null;
+    const bc = new BroadcastChannel(${JSON.stringify(PROBE_CHANNEL)});
+    return { name: 'broadcast', send: (env) => bc.postMessage(env) };
+  };
+  const openRelay = () => {
+    if (!RELAY) return null;
+    let warned = false;
+    const endpoint = RELAY.replace(/[/]$/, '') + '/rooms/' + ROOM;
+    // text/plain keeps this a "simple" CORS request (no preflight); keepalive lets "bye" out on unload.
+    return { name: 'relay', send: (env) => fetch(endpoint, { method: 'POST', mode: 'cors', keepalive: true, headers: { 'content-type': 'text/plain' }, body: JSON.stringify(env) })
+      .catch((err) => { if (!warned) console.warn('[PerfScope probe] relay unreachable:', err.message); warned = true; }) };
+  };
+  const transport = TRANSPORT === 'window' ? openWindow()
+    : TRANSPORT === 'broadcast' ? openBroadcast()
+    : TRANSPORT === 'relay' ? openRelay()
+    : openWindow() || openBroadcast() || openRelay();
+  if (!transport) {
+    console.warn('[PerfScope probe] No way to reach PerfScope (' + TRANSPORT + '). Allow popups, or use a relay.');
+    return;
+  }
+
+  const SOURCE = {
+    id: (crypto.randomUUID && crypto.randomUUID()) || String(Math.random()).slice(2),
+    url: location.href,
+    label: LABEL,
+    ua: navigator.userAgent,
+    timeOrigin: performance.timeOrigin,
+  };
+
+  // Every message carries the source, so PerfScope can pick up a probe mid-stream, and a
+  // sequence number so replayed messages are dropped.
+  let seq = 0;
+  const send = (kind, payload={}) => {
+    const body = JSON.stringify({ kind, source: SOURCE, payload, seq: ++seq });
+    transport.send({ __perfscope: true, v: ${PROBE_VERSION}, room: ROOM, body, sig: hmac(TOKEN, body) });
+  };
+
+  const pick = (obj, keys) => {
+    const out = {};
+    for (const k of keys) {
+      if (obj[k] != null) out[k] = obj[k];
+    }
+    return out;
+  };
+
+  const describe = (n) => n && n.tagName ? n.tagName.toLowerCase() + (n.id ? '#' + n.id : '') : null;
+
+  const serialize = (e) => {
+    const base = {
+      name: e.name,
+      entryType: e.entryType,
+      startTime: e.startTime,
+      duration: e.duration,
+    };
+    // ResourceTiming / NavigationTiming extras (when present)
+    Object.assign(base, pick(e, [
+      'initiatorType','nextHopProtocol','transferSize','encodedBodySize','decodedBodySize','renderBlockingStatus',
+      'redirectStart','redirectEnd','fetchStart','domainLookupStart','domainLookupEnd','connectStart','secureConnectionStart','connectEnd',
+      'requestStart','responseStart','responseEnd','domInteractive','domContentLoadedEventEnd','loadEventEnd'
+    ]));
+    // Web Vitals attribution (LCP / layout shifts / event timing)
+    Object.assign(base, pick(e, [
+      'renderTime','loadTime','size','url','value','hadRecentInput',
+      'interactionId','processingStart','processingEnd'
+    ]));
+    if (e.element) base.element = describe(e.element);
+    if (e.target) base.target = describe(e.target);
+    if (e.sources) base.sources = Array.from(e.sources, s => ({ node: describe(s.node) }));
+    // Long Animation Frame script attribution
+    Object.assign(base, pick(e, ['blockingDuration','renderStart','styleAndLayoutStart']));
+    if (e.serverTiming) base.serverTiming = Array.from(e.serverTiming, s => ({ name: s.name, duration: s.duration, description: s.description }));
+    if (e.scripts) base.scripts = Array.from(e.scripts, s => pick(s, [
+      'name','invoker','invokerType','sourceURL','sourceFunctionName','sourceCharPosition',
+      'startTime','executionStart','duration','forcedStyleAndLayoutDuration','pauseDuration'
+    ]));
+    return base;
+  };
+
+  const buf = [];
+  let flushTimer = null;
+  const flush = () => {
+    flushTimer = null;
+    if (!buf.length) return;
+    const batch = buf.splice(0, buf.length);
+    send('entries', { timeOrigin: performance.timeOrigin, entries: batch });
+  };
+  const enqueue = (list) => {
+    for (const e of list) buf.push(serialize(e));
+    if (!flushTimer) flushTimer = setTimeout(flush, 250);
+  };
+
+  send('hello', { href: location.href, ua: navigator.userAgent, timeOrigin: performance.timeOrigin });
+  setInterval(() => send('heartbeat'), ${HEARTBEAT_MS});
+  addEventListener('pagehide', () => { flush(); send('bye'); });
+
+  // buffered: true replays entries recorded before the snippet ran.
+  for (const t of ENTRY_TYPES) {
+    try {
+      const po = new PerformanceObserver((list) => enqueue(list.getEntries()));
+      po.observe(t === 'event' ? { type: t, buffered: true, durationThreshold: 16 } : { type: t, buffered: true });
+    } catch {}
+  }
+
+  console.log('[PerfScope probe] Streaming started as "' + LABEL + '" via ' + transport.name + '. Keep this tab open; stop by reloading the page or closing this tab.');
+})();`;
+}
+
+// Timestamps relative to the page's timeOrigin. Zeros mean "not available" (e.g. no
+// Timing-Allow-Origin) and stay zero.
+const TIME_FIELDS = [
+  'startTime', 'redirectStart', 'redirectEnd', 'fetchStart', 'domainLookupStart', 'domainLookupEnd',
+  'connectStart', 'secureConnectionStart', 'connectEnd', 'requestStart', 'responseStart', 'responseEnd',
+  'workerStart', 'domInteractive', 'domContentLoadedEventEnd', 'loadEventEnd',
+  'renderTime', 'loadTime', 'processingStart', 'processingEnd', 'renderStart', 'styleAndLayoutStart', 'firstUIEventTimestamp',
+];
+const SCRIPT_TIME_FIELDS = ['startTime', 'executionStart'];
+
+function shift(obj, fields, offset) {
+  const out = { ...obj };
+  for (const f of fields) {
+    if (typeof out[f] === 'number' && (out[f] !== 0 || f === 'startTime')) out[f] += offset;
+  }
+  return out;
+}
+
+// Move an entry `offset` ms along the timeline (remote timeOrigin − local timeOrigin).
+export function alignEntry(e, offset) {
+  if (!offset) return e;
+  const out = shift(e, TIME_FIELDS, offset);
+  if (Array.isArray(e.scripts)) out.scripts = e.scripts.map(s => shift(s, SCRIPT_TIME_FIELDS, offset));
+  return out;
+}
+
+// Tracks connected probes and turns their messages into aligned entries.
+// - clockOrigin: the timeOrigin remote entries are aligned to (this tab's).
+// - onEntries(entries): new entries, already aligned, with `id` and `source` set.
+// - onChange(): the source list or a connection state changed.
+// Sources are { id, url, label, ua, timeOrigin, offset, connected, status, lastSeen, lastSeq };
+// status is connecting | connected | lost (no heartbeat) | closed (tab went away) | saved.
+export function createProbeHub({ token, clockOrigin = 0, onEntries = () => {}, onChange = () => {}, now = () => Date.now() } = {}) {
+  const sources = new Map();
+  let idSeq = 0;
+
+  function upsert(meta) {
+    let s = sources.get(meta.id);
+    if (!s) {
+      s = { id: meta.id, url: '', label: '', ua: '', timeOrigin: null, offset: 0, connected: false, status: 'connecting', lastSeen: 0, lastSeq: 0 };
+      sources.set(meta.id, s);
+    }
+    if (meta.url) s.url = meta.url;
+    if (meta.label) s.label = meta.label;
+    if (meta.ua) s.ua = meta.ua;
+    if (Number.isFinite(meta.timeOrigin)) {
+      s.timeOrigin = meta.timeOrigin;
+      s.offset = meta.timeOrigin - clockOrigin;
+    }
+    return s;
+  }
+
+  // Returns true when `envelope` was a valid probe message for this tab. `origin` is the
+  // sender's origin when the transport knows it; it must match the source's URL.
+  function receive(envelope, origin = '') {
+    const data = openMessage(envelope, token);
+    const meta = data?.source;
+    if (!meta || typeof meta.id !== 'string' || !Number.isInteger(data.seq)) return false;
+    if (origin && originOf(meta.url) !== origin) return false;
+    const known = sources.get(meta.id);
+    if (known && data.seq <= known.lastSeq) return false;
+
+    const s = upsert(meta);
+    if (!s.label) s.label = hostLabel(s.url || origin);
+    s.lastSeq = data.seq;
+    const wasConnected = s.connected;
+    s.lastSeen = now();
+
+    if (data.kind === 'bye') {
+      s.connected = false;
+      s.status = 'closed';
+      onChange();
+      return true;
+    }
+    s.connected = true;
+    s.status = 'connected';
+    if (data.kind === 'entries') {
+      const incoming = Array.isArray(data.payload?.entries) ? data.payload.entries : [];
+      const offset = Number.isFinite(data.payload?.timeOrigin) ? data.payload.timeOrigin - clockOrigin : s.offset;
+      const entries = incoming.map(e => ({ ...alignEntry(e, offset), id: `${s.id.slice(0, 8)}-${++idSeq}`, source: s.id }));
+      onChange();
+      if (entries.length) onEntries(entries);
+    } else if (!wasConnected || data.kind === 'hello') {
+      onChange();
+    }
+    return true;
+  }
+
+  // Mark sources that stopped sending heartbeats; call periodically.
+  function tick() {
+    let changed = false;
+    for (const s of sources.values()) {
+      if (s.connected && now() - s.lastSeen > DISCONNECT_AFTER_MS) {
+        s.connected = false;
+        s.status = 'lost';
+        changed = true;
+      }
+    }
+    if (changed) onChange();
+  }
+
+  // A new token orphans every probe using the old one.
+  function setToken(t) {
+    token = t;
+    for (const s of sources.values()) {
+      if (s.connected) s.status = 'closed';
+      s.connected = false;
+    }
+    onChange();
+  }
+
+  // Sources of an opened session: known, but not streaming.
+  function restore(list) {
+    sources.clear();
+    for (const meta of list || []) upsert(meta).status = 'saved';
+    onChange();
+  }
+
+  // Metadata worth saving with a session.
+  const describe = () => [...sources.values()].map(({ id, url, label, timeOrigin }) => ({ id, url, label, timeOrigin }));
+
+  return { receive, tick, setToken, restore, describe, get token() { return token; }, get sources() { return [...sources.values()]; } };
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+function hostLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url || 'remote';
+  }
+}
@@ -0,0 +1,73 @@
+// Registrable domains ("eTLD+1") from a bundled subset of the Public Suffix List
+// (https://publicsuffix.org/list/), so cdn.example.co.uk and www.example.co.uk group
+// together while alice.github.io and bob.github.io stay apart.
+//
+// Rules use the list's syntax: "*." matches any one label, a leading "!" marks an
+// exception to a wildcard. Suffixes not listed fall back to the implicit "*" rule
+// (the last label), which is right for most TLDs.
+
+const RULES = `
+com net org edu gov mil int info biz name pro mobi io co ai app dev me tv cc ly gl fm gg to sh ws xyz site online
+cloud tech page blog shop store
+eu de fr nl be ch at es it pt pl se no dk fi ie is cz sk hu ro bg gr ru ua tr il ca us mx ar cl
+uk co.uk org.uk me.uk ltd.uk plc.uk net.uk ac.uk gov.uk nhs.uk sch.uk
+au com.au net.au org.au edu.au gov.au id.au
+nz co.nz net.nz org.nz govt.nz ac.nz
+jp co.jp ne.jp or.jp ac.jp go.jp ad.jp *.kawasaki.jp *.kitakyushu.jp !city.kawasaki.jp !city.kitakyushu.jp
+br com.br net.br org.br gov.br
+cn com.cn net.cn org.cn gov.cn
+in co.in net.in org.in firm.in gen.in
+kr co.kr or.kr go.kr
+za co.za org.za gov.za
+sg com.sg hk com.hk tw com.tw
+*.ck !www.ck
+*.bd *.er *.fk *.jm *.kh *.mm *.np *.pg
+github.io githubusercontent.com gitlab.io
+herokuapp.com herokussl.com
+netlify.app vercel.app now.sh pages.dev workers.dev
+web.app firebaseapp.com appspot.com
+blogspot.com wordpress.com
+cloudfront.net azurewebsites.net azureedge.net trafficmanager.net
+s3.amazonaws.com *.compute.amazonaws.com *.elb.amazonaws.com
+global.ssl.fastly.net freetls.fastly.net
+`.trim().split(/\s+/);
+
+// Rules indexed by their last label for quick lookup.
+const BY_TLD = new Map();
+for (const rule of RULES) {
+  const tld = rule.slice(rule.lastIndexOf('.') + 1);
+  if (!BY_TLD.has(tld)) BY_TLD.set(tld, []);
+  BY_TLD.get(tld).push({
+    exception: rule.startsWith('!'),
+    labels: rule.replace(/^!/, '').split('.'),
+  });
+}
+
+function matches(ruleLabels, labels) {
+  if (ruleLabels.length > labels.length) return false;
+  const off = labels.length - ruleLabels.length;
+  return ruleLabels.every((r, i) => r === '*' || r === labels[off + i]);
+}
+
+const isIp = (host) => /^[\d.]+$/.test(host) || host.includes(':');
+
+// The public suffix of `host` ("co.uk" for "www.bbc.co.uk").
+export function publicSuffix(host) {
+  const labels = String(host || '').toLowerCase().replace(/\.$/, '').split('.');
+  const candidates = (BY_TLD.get(labels[labels.length - 1]) || []).filter(r => matches(r.labels, labels));
+  const exception = candidates.find(r => r.exception);
+  if (exception) return labels.slice(labels.length - exception.labels.length + 1).join('.');
+  const longest = candidates.reduce((n, r) => Math.max(n, r.labels.length), 1);
+  return labels.slice(labels.length - longest).join('.');
+}
+
+// The registrable domain (public suffix plus one label). IP addresses, single-label hosts
+// like "localhost" and hosts that are themselves a public suffix come back unchanged.
+export function registrableDomain(host) {
+  const h = String(host || '').toLowerCase().replace(/\.$/, '');
+  if (!h || isIp(h) || !h.includes('.')) return h;
+  const suffix = publicSuffix(h);
+  if (suffix === h) return h;
+  const labels = h.split('.');
+  return labels.slice(labels.length - suffix.split('.').length - 1).join('.');
+}
@@ -0,0 +1,376 @@
+// Entry filter query language, shared by the app's filter box and the CLI's --query.
+//
+//   type:resource host:cdn.example.com dur>200 size>50kb   terms side by side must all match
+//   initiator:img or initiator:css                          and, or, not (also -term), ( )
+//   -proto:h3   cluster:2   cluster:noise   status>=400
+//   /\.woff2?$/i   name:/chunk-[0-9a-f]+/                   regexes test the name
+//   api "checkout step"                                      bare words: the name contains them
+//
+// Text fields take `:` (contains for name, same host or a subdomain for host, equals
+// otherwise), `=` and `!=`. Number fields take `:` or `=`, `!=`, `>`, `>=`, `<`, `<=`,
+// with ms/s units for times and b/kb/mb for sizes.
+
+import { resourcePhases } from './timing.js';
+import { sourceOf } from './probe.js';
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+};
+
+const UNITS = {
+  ms: { ms: 1, s: 1000 },
+  bytes: { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 },
+  count: {},
+};
+
+// kind: text (compared as strings), ms/bytes/count (numbers), cluster (needs clustering).
+export const QUERY_FIELDS = [
+  { key: 'type', kind: 'text', label: 'entry type', of: e => e.entryType },
+  { key: 'name', kind: 'text', label: 'name or URL (contains)', of: e => e.name, contains: true },
+  { key: 'host', kind: 'text', label: 'host, subdomains included', of: e => hostOf(e.name), host: true },
+  { key: 'initiator', kind: 'text', label: 'initiator type', of: e => e.initiatorType },
+  { key: 'proto', kind: 'text', label: 'protocol (h2, h3…)', of: e => e.nextHopProtocol },
+  { key: 'source', kind: 'text', label: 'probe source id (local = this tab)', of: sourceOf },
+  { key: 'cluster', kind: 'cluster', label: 'cluster number, or noise' },
+  { key: 'dur', kind: 'ms', label: 'duration', of: e => e.duration },
+  { key: 'start', kind: 'ms', label: 'start time', of: e => e.startTime },
+  { key: 'ttfb', kind: 'ms', label: 'time to first byte', of: e => resourcePhases(e)?.ttfb },
+  { key: 'download', kind: 'ms', label: 'download time', of: e => resourcePhases(e)?.download },
+  { key: 'size', kind: 'bytes', label: 'transfer size', of: e => e.transferSize },
+  { key: 'status', kind: 'count', label: 'HTTP status', of: e => e.responseStatus },
+];
+const ALIASES = { duration: 'dur', entrytype: 'type', initiatortype: 'initiator', protocol: 'proto', transfersize: 'size', url: 'name' };
+const fieldOf = (name) => {
+  const key = name.toLowerCase();
+  return QUERY_FIELDS.find(f => f.key === (ALIASES[key] || key));
+};
+
+const OP_RE = /^([a-z]+)(!=|>=|<=|:|=|>|<)/i;
+const KEYWORDS = { and: 'and', '&&': 'and', or: 'or', '||': 'or', not: 'not' };
+
+// --- lexer ---
+
+// Tokens: { t: '(' | ')' | 'and' | 'or' | 'not' | 'term', start, end, ... }.
+function lex(text, errors) {
+  const tokens = [];
+  let i = 0;
+
+  // A /regex/flags starting at i; null (with an error) when it doesn't close or compile.
+  const readRegex = (from) => {
+    let j = from + 1;
+    let inClass = false;
+    while (j < text.length) {
+      const c = text[j];
+      if (c === '\\') j++;
+      else if (c === '[') inClass = true;
+      else if (c === ']') inClass = false;
+      else if (c === '/' && !inClass) break;
+      j++;
+    }
+    if (j >= text.length) {
+      errors.push({ message: 'unclosed regex (missing "/")', start: from, end: text.length });
+      return { end: text.length, regex: null };
+    }
+    let end = j + 1;
+    while (end < text.length && /[a-z]/i.test(text[end])) end++;
+    try {
+      // Without g/y: a stateful lastIndex would skip matches between entries.
+      return { end, regex: new RegExp(text.slice(from + 1, j), text.slice(j + 1, end).replace(/[gy]/g, '')) };
+    } catch (err) {
+      errors.push({ message: `bad regex: ${err.message.replace(/^Invalid regular expression: /, '')}`, start: from, end });
+      return { end, regex: null };
+    }
+  };
+  const readQuoted = (from) => {
+    const close = text.indexOf('"', from + 1);
+    if (close < 0) {
+      errors.push({ message: 'unclosed quote', start: from, end: text.length });
+      return { end: text.length, value: text.slice(from + 1) };
+    }
+    return { end: close + 1, value: text.slice(from + 1, close) };
+  };
+  const readWord = (from) => {
+    let j = from;
+    while (j < text.length && !/[\s()]/.test(text[j])) j++;
+    return { end: j, value: text.slice(from, j) };
+  };
+  const readValue = (from) => {
+    if (text[from] === '/') return readRegex(from);
+    if (text[from] === '"') return readQuoted(from);
+    return readWord(from);
+  };
+
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    if (c === '(' || c === ')') {
+      tokens.push({ t: c, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+    if ((c === '-' || c === '!') && i + 1 < text.length && !/[\s=]/.test(text[i + 1])) {
+      tokens.push({ t: 'not', start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+    const rest = text.slice(i);
+    const m = OP_RE.exec(rest);
+    // "https://…" is a URL to look for, not a field.
+    if (m && !(m[2] === ':' && rest.startsWith('//', m[0].length))) {
+      const v = readValue(i + m[0].length);
+      tokens.push({ t: 'term', field: m[1], op: m[2], start: i, end: v.end, fieldEnd: i + m[1].length, ...v });
+      i = v.end;
+      continue;
+    }
+    const v = readValue(i);
+    const keyword = !('regex' in v) && text[i] !== '"' && KEYWORDS[v.value.toLowerCase()];
+    if (keyword) tokens.push({ t: keyword, start: i, end: v.end });
+    else tokens.push({ t: 'term', field: null, op: null, start: i, end: v.end, ...v });
+    i = v.end;
+  }
+  return tokens;
+}
+
+// --- parser ---
+
+const parseNumber = (raw, kind) => {
+  const m = /^(-?\d+(?:\.\d+)?|-?\.\d+)([a-z]*)$/i.exec(raw);
+  if (!m) return null;
+  const unit = m[2].toLowerCase();
+  const scale = unit ? UNITS[kind][unit] : 1;
+  return scale == null ? null : Number(m[1]) * scale;
+};
+
+// A term token → { kind: 'term', test(e, ctx) → true | false | null }, or null with an error.
+function compileTerm(tok, errors) {
+  const fail = (message, start = tok.start, end = tok.end) => {
+    errors.push({ message, start, end });
+    return null;
+  };
+  const lower = (s) => String(s ?? '').toLowerCase();
+
+  if (!tok.field) {
+    if ('regex' in tok) return tok.regex && { kind: 'term', test: (e) => tok.regex.test(e.name || '') };
+    if (!tok.value) return fail('empty term');
+    const needle = tok.value.toLowerCase();
+    return { kind: 'term', test: (e) => lower(e.name).includes(needle) };
+  }
+
+  const field = fieldOf(tok.field);
+  if (!field) return fail(`unknown field "${tok.field}" (${QUERY_FIELDS.map(f => f.key).join(', ')})`, tok.start, tok.fieldEnd);
+  const { op } = tok;
+  const valueStart = tok.start + tok.field.length + op.length;
+  if ('regex' in tok) {
+    if (field.kind !== 'text') return fail(`${field.key} can't be matched with a regex`);
+    if (op !== ':' && op !== '=' && op !== '!=') return fail(`use ${field.key}:/regex/`);
+    if (!tok.regex) return null;
+    const re = tok.regex;
+    return { kind: 'term', test: (e) => re.test(field.of(e) || '') === (op !== '!=') };
+  }
+  if (tok.value === '') return fail(`${field.key}${op} needs a value`);
+
+  if (field.kind === 'text') {
+    if (!['=', ':', '!='].includes(op)) return fail(`${field.key} takes :, = or !=, not ${op}`);
+    const want = tok.value.toLowerCase();
+    const match = op !== ':' ? (v) => v === want
+      : field.contains ? (v) => v.includes(want)
+      : field.host ? (v) => v === want || v.endsWith('.' + want)
+      : (v) => v === want;
+    return { kind: 'term', test: (e) => match(lower(field.of(e))) === (op !== '!=') };
+  }
+
+  if (field.kind === 'cluster') {
+    if (!['=', ':', '!='].includes(op)) return fail(`cluster takes :, = or !=, not ${op}`);
+    const want = tok.value.toLowerCase() === 'noise' ? -1 : Number(tok.value);
+    if (!Number.isInteger(want)) return fail('cluster: expected a cluster number or "noise"', valueStart, tok.end);
+    // Unknown (null) until clustering has run.
+    return {
+      kind: 'term',
+      clusters: true,
+      test: (e, { clusters }) => (clusters ? (clusters.get(e.id) === want) === (op !== '!=') : null),
+    };
+  }
+
+  const want = parseNumber(tok.value, field.kind);
+  if (want == null) {
+    const units = Object.keys(UNITS[field.kind]);
+    return fail(`${field.key}: expected a number${units.length ? ` (units: ${units.join(', ')})` : ''}, got "${tok.value}"`, valueStart, tok.end);
+  }
+  const cmp = {
+    ':': (v) => v === want, '=': (v) => v === want, '!=': (v) => v !== want,
+    '>': (v) => v > want, '>=': (v) => v >= want, '<': (v) => v < want, '<=': (v) => v <= want,
+  }[op];
+  return {
+    kind: 'term',
+    test: (e) => {
+      const v = field.of(e);
+      return typeof v === 'number' && Number.isFinite(v) && cmp(v);
+    },
+  };
+}
+
+// or := and ("or" and)*;  and := unary ("and"? unary)*;  unary := "not" unary | "(" or ")" | term
+function parse(tokens, errors) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const startsUnary = (tok) => tok && (tok.t === 'term' || tok.t === 'not' || tok.t === '(');
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek()?.t === 'or') {
+      const op = tokens[pos++];
+      if (!startsUnary(peek())) {
+        errors.push({ message: '"or" needs something on its right', start: op.start, end: op.end });
+        break;
+      }
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { kind: 'or', items };
+  }
+  function parseAnd() {
+    const items = [parseUnary()];
+    for (;;) {
+      if (peek()?.t === 'and') {
+        const op = tokens[pos++];
+        if (!startsUnary(peek())) {
+          errors.push({ message: '"and" needs something on its right', start: op.start, end: op.end });
+          break;
+        }
+      } else if (!startsUnary(peek())) {
+        break;
+      }
+      items.push(parseUnary());
+    }
+    return items.length === 1 ? items[0] : { kind: 'and', items };
+  }
+  function parseUnary() {
+    const tok = tokens[pos++];
+    if (!tok) {
+      const end = tokens.length ? tokens[tokens.length - 1].end : 0;
+      errors.push({ message: 'query ends too early', start: end, end });
+      return null;
+    }
+    if (tok.t === 'not') return { kind: 'not', item: parseUnary() };
+    if (tok.t === '(') {
+      const inner = parseOr();
+      if (peek()?.t === ')') pos++;
+      else errors.push({ message: 'unclosed "("', start: tok.start, end: tok.end });
+      return inner;
+    }
+    if (tok.t === 'term') return compileTerm(tok, errors);
+    errors.push({ message: `unexpected "${tok.t}"`, start: tok.start, end: tok.end });
+    return null;
+  }
+
+  const ast = parseOr();
+  while (pos < tokens.length) {
+    const tok = tokens[pos++];
+    errors.push({ message: tok.t === ')' ? 'unmatched ")"' : `unexpected "${tok.t}"`, start: tok.start, end: tok.end });
+  }
+  return ast;
+}
+
+// Kleene logic: null (unknown) when the answer hangs on clusters that aren't known yet.
+function evaluate(node, e, ctx) {
+  if (node.kind === 'term') return node.test(e, ctx);
+  if (node.kind === 'not') {
+    const v = evaluate(node.item, e, ctx);
+    return v == null ? null : !v;
+  }
+  let unknown = false;
+  for (const item of node.items) {
+    const v = evaluate(item, e, ctx);
+    if (v == null) unknown = true;
+    else if (v === (node.kind === 'or')) return v;
+  }
+  return unknown ? null : node.kind === 'and';
+}
+
+const usesClusters = (node) => !!node && (node.clusters || (node.item ? usesClusters(node.item) : (node.items || []).some(usesClusters)));
+
+let last = null;
+
+// { text, ast, errors: [{ message, start, end }], usesClusters }. `ast` is null for an
+// empty query and whenever there are errors. The last result is cached: filtering calls
+// this once per redraw.
+export function parseQuery(text) {
+  text = String(text || '');
+  if (last?.text === text) return last;
+  const errors = [];
+  const tokens = lex(text, errors);
+  const ast = tokens.length ? parse(tokens, errors) : null;
+  last = { text, ast: errors.length ? null : ast, errors, usesClusters: !errors.length && usesClusters(ast) };
+  return last;
+}
+
+// Whether `e` matches a parsed query: true, false, or null when that depends on
+// `cluster:` terms and `clusters` (entry id → cluster, -1 = noise) is still unknown.
+export function matchesQuery(parsed, e, { clusters = null } = {}) {
+  return parsed.ast ? evaluate(parsed.ast, e, { clusters }) : true;
+}
+
+// --- autocomplete ---
+
+// Distinct values worth suggesting for each text field, most common first.
+export function queryValues(entries, clusters) {
+  const out = {};
+  for (const f of QUERY_FIELDS) {
+    if (f.kind !== 'text' || f.contains) continue;
+    const counts = new Map();
+    for (const e of entries) {
+      const v = f.of(e);
+      if (v) counts.set(v, (counts.get(v) || 0) + 1);
+    }
+    out[f.key] = [...counts].sort((a, b) => b[1] - a[1]).map(([v]) => v);
+  }
+  const ids = new Set(clusters ? clusters.values() : []);
+  out.cluster = [...ids].sort((a, b) => a - b).map(c => (c === -1 ? 'noise' : String(c)));
+  return out;
+}
+
+// Completions for the word at `caret`: { from, to, items: [{ text, hint }] }. Replacing
+// text[from, to) with an item's text completes it. Field names come first; after
+// "field:" the field's values (from queryValues).
+export function suggestQuery(text, caret, values = {}, { max = 12 } = {}) {
+  let from = caret;
+  while (from > 0 && !/[\s()]/.test(text[from - 1])) from--;
+  let to = caret;
+  while (to < text.length && !/[\s()]/.test(text[to])) to++;
+  let word = text.slice(from, caret);
+  if (word.startsWith('-') || word.startsWith('!')) {
+    from++;
+    word = word.slice(1);
+  }
+  const none = { from, to, items: [] };
+  if (word.startsWith('/') || word.startsWith('"')) return none;
+
+  const m = OP_RE.exec(word);
+  if (m) {
+    const field = fieldOf(m[1]);
+    const options = field && values[field.key];
+    if (!options || !['=', ':', '!='].includes(m[2])) return none;
+    const typed = word.slice(m[0].length).toLowerCase();
+    const items = options
+      .filter(v => v.toLowerCase().startsWith(typed) && v.toLowerCase() !== typed)
+      .slice(0, max)
+      .map(v => ({ text: m[0] + (/[\s()"]/.test(v) ? `"${v}"` : v), hint: field.label }));
+    return { from, to, items };
+  }
+  if (!word) return none;
+  const typed = word.toLowerCase();
+  const items = [
+    ...QUERY_FIELDS.filter(f => f.key.startsWith(typed)).map(f => ({
+      text: f.key + (f.kind === 'text' || f.kind === 'cluster' ? ':' : '>'),
+      hint: f.label,
+    })),
+    ...['and', 'or', 'not'].filter(k => k.startsWith(typed) && k !== typed).map(k => ({ text: k, hint: 'operator' })),
+  ];
+  return { from, to, items: items.slice(0, max) };
+}
@@ -1,7 +1,25 @@
 // PerformanceObserver recorder with ID-stable entries.
 
+// Ids carry a per-load prefix: a session restored from the library keeps recording
+// after a reload, and its old `e1, e2…` must not collide with the new ones.
+const ID_PREFIX = `e${Date.now().toString(36)}-`;
 let _nextId = 1;
-const nextId = () => `e${_nextId++}`;
+const nextId = () => `${ID_PREFIX}${_nextId++}`;
+
+// DOM nodes can't be stored; keep a short CSS-ish description instead.
+function describeNode(node) {
+  if (!node || !node.nodeName) return null;
+  if (node.nodeType !== 1) return node.nodeName.toLowerCase();
+  let s = node.tagName.toLowerCase();
+  if (node.id) s += `#${node.id}`;
+  const cls = typeof node.className === 'string' ? node.className.trim().split(/\s+/).filter(Boolean).slice(0, 2) : [];
+  if (cls.length) s += '.' + cls.join('.');
+  return s;
+}
+
+const serverTiming = (list) => Array.from(list || [], s => ({ name: s.name, duration: s.duration, description: s.description }));
+
+const plainRect = (r) => (r ? { x: r.x, y: r.y, width: r.width, height: r.height } : null);
 
 function cloneEntry(entry) {
   // We intentionally snapshot only commonly-available fields.
@@ -23,6 +41,8 @@ function cloneEntry(entry) {
       encodedBodySize: e.encodedBodySize,
       decodedBodySize: e.decodedBodySize,
       renderBlockingStatus: e.renderBlockingStatus,
+      responseStatus: e.responseStatus,
+      serverTiming: serverTiming(e.serverTiming),
       // Timing breakdown
       redirectStart: e.redirectStart,
       redirectEnd: e.redirectEnd,
@@ -50,6 +70,19 @@ function cloneEntry(entry) {
       encodedBodySize: e.encodedBodySize,
       decodedBodySize: e.decodedBodySize,
       nextHopProtocol: e.nextHopProtocol,
+      responseStatus: e.responseStatus,
+      serverTiming: serverTiming(e.serverTiming),
+      // Timing breakdown (same fields as resource entries)
+      redirectStart: e.redirectStart,
+      redirectEnd: e.redirectEnd,
+      fetchStart: e.fetchStart,
+      domainLookupStart: e.domainLookupStart,
+      domainLookupEnd: e.domainLookupEnd,
+      connectStart: e.connectStart,
+      secureConnectionStart: e.secureConnectionStart,
+      connectEnd: e.connectEnd,
+      requestStart: e.requestStart,
+      workerStart: e.workerStart,
       // Key milestones
       responseStart: e.responseStart,
       responseEnd: e.responseEnd,
@@ -72,6 +105,73 @@ function cloneEntry(entry) {
     };
   }
 
+  if (entry.entryType === 'long-animation-frame') {
+    // Script attribution tells which function kept the main thread busy.
+    const e = entry;
+    return {
+      ...base,
+      blockingDuration: e.blockingDuration,
+      renderStart: e.renderStart,
+      styleAndLayoutStart: e.styleAndLayoutStart,
+      firstUIEventTimestamp: e.firstUIEventTimestamp,
+      scripts: (e.scripts || []).map(s => ({
+        name: s.name,
+        invoker: s.invoker,
+        invokerType: s.invokerType,
+        sourceURL: s.sourceURL,
+        sourceFunctionName: s.sourceFunctionName,
+        sourceCharPosition: s.sourceCharPosition,
+        windowAttribution: s.windowAttribution,
+        startTime: s.startTime,
+        executionStart: s.executionStart,
+        duration: s.duration,
+        forcedStyleAndLayoutDuration: s.forcedStyleAndLayoutDuration,
+        pauseDuration: s.pauseDuration,
+      })),
+    };
+  }
+
+  if (entry.entryType === 'largest-contentful-paint') {
+    const e = entry;
+    return {
+      ...base,
+      renderTime: e.renderTime,
+      loadTime: e.loadTime,
+      size: e.size,
+      url: e.url,
+      elementId: e.id,
+      element: describeNode(e.element),
+    };
+  }
+
+  if (entry.entryType === 'layout-shift') {
+    const e = entry;
+    return {
+      ...base,
+      value: e.value,
+      hadRecentInput: e.hadRecentInput,
+      lastInputTime: e.lastInputTime,
+      sources: (e.sources || []).map(s => ({
+        node: describeNode(s.node),
+        previousRect: plainRect(s.previousRect),
+        currentRect: plainRect(s.currentRect),
+      })),
+    };
+  }
+
+  if (entry.entryType === 'event' || entry.entryType === 'first-input') {
+    // name is the DOM event type (click, keydown, …).
+    const e = entry;
+    return {
+      ...base,
+      interactionId: e.interactionId,
+      processingStart: e.processingStart,
+      processingEnd: e.processingEnd,
+      cancelable: e.cancelable,
+      target: describeNode(e.target),
+    };
+  }
+
   // mark/measure etc.
   return base;
 }
@@ -107,7 +207,8 @@ export function createRecorder() {
     // Observe each type separately to tolerate partial support.
     for (const t of entryTypes) {
       try {
-        obs.observe({ type: t, buffered: true });
+        // Event Timing only reports events >= 104ms unless asked for more (16ms is the minimum).
+        obs.observe(t === 'event' ? { type: t, buffered: true, durationThreshold: 16 } : { type: t, buffered: true });
       } catch (e) {
         // Some browsers only support entryTypes array.
         try { obs.observe({ entryTypes: [t] }); } catch {}
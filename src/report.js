@@ -0,0 +1,191 @@
+// Standalone HTML report: one file with inline CSS, the waterfall as inline SVG, the
+// analysis as tables and the session itself as embedded JSON. No scripts, no network, so
+// it can be attached to a ticket and opened anywhere; PerfScope imports it back.
+
+import { formatBudget, formatBudgetValue } from './budgets.js';
+import { OUTLIER_METRICS } from './outliers.js';
+import { encodeSession } from './share.js';
+
+const SESSION_TAG = 'perfscope-session';
+const SESSION_RE = new RegExp(`<script type="application/json" id="${SESSION_TAG}">([\\s\\S]*?)</script>`);
+
+const STYLE = `
+  body{margin:0; padding:24px; background:#0b1020; color:#e9eeff; font:14px/1.45 ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif}
+  main{max-width:1280px; margin:0 auto}
+  h1{font-size:20px; margin:0 0 4px}
+  h2{font-size:13px; margin:24px 0 8px; color:#a9b4e7; letter-spacing:.02em; text-transform:uppercase}
+  .muted{color:#a9b4e7; font-size:12px}
+  .mono{font-family:ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", monospace}
+  .pill{display:inline-block; padding:1px 7px; border-radius:999px; border:1px solid rgba(255,255,255,.15); font-size:11px; color:#a9b4e7}
+  .good,.pass{color:#7dffb2} .needs-improvement{color:#ffcc66} .poor,.fail{color:#ff6b8b}
+  table{width:100%; border-collapse:collapse; font-size:12px}
+  th,td{padding:5px 8px; border-bottom:1px solid rgba(255,255,255,.07); text-align:left; vertical-align:top}
+  th{color:#a9b4e7; font-weight:600}
+  .notes{white-space:pre-wrap; background:rgba(255,255,255,.03); border:1px solid rgba(255,255,255,.08); border-radius:8px; padding:10px 12px}
+  .wf svg{width:100%; height:auto; border-radius:8px}
+  .kvs{display:grid; grid-template-columns:140px 1fr; gap:4px 12px; font-size:12px}
+`;
+
+const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function fmtMs(ms) {
+  if (ms == null || !Number.isFinite(ms)) return '—';
+  if (ms < 1) return `${ms.toFixed(2)}ms`;
+  if (ms < 1000) return `${ms.toFixed(1)}ms`;
+  return `${(ms/1000).toFixed(2)}s`;
+}
+
+function fmtBytes(n) {
+  if (n == null || !Number.isFinite(n)) return '—';
+  if (n < 1024) return `${n|0} B`;
+  const kb = n/1024;
+  if (kb < 1024) return `${kb.toFixed(1)} KB`;
+  return `${(kb/1024).toFixed(2)} MB`;
+}
+
+function shorten(s, n) {
+  s = String(s ?? '');
+  return s.length > n ? s.slice(0, n - 1) + '…' : s;
+}
+
+const table = (head, rows, empty) => (rows.length
+  ? `<table><thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`
+  : `<div class="muted">${empty}</div>`);
+
+function vitalsTable(v) {
+  const row = (label, m, fmt, detail) => (m
+    ? [label, `<span class="mono">${fmt(m.value)}</span>`, `<span class="${m.rating}">${m.rating}</span>`, `<span class="mono">${esc(shorten(detail(m), 90))}</span>`]
+    : [label, '—', '<span class="muted">no data</span>', '']);
+  return table(['metric', 'value', 'rating', 'attribution'], [
+    row('LCP', v.lcp, fmtMs, m => m.entry?.element || m.entry?.url || ''),
+    row('CLS', v.cls, x => x.toFixed(3), m => `${m.entries.length} shifts`),
+    row('INP', v.inp, fmtMs, m => `${m.entry?.name || ''} ${m.entry?.target || ''} • ${m.interactions} interactions`),
+    row('FID', v.fid, fmtMs, m => `${m.entry?.name || ''} ${m.entry?.target || ''}`),
+  ], '');
+}
+
+function annotationRows(session) {
+  const byId = new Map((session.entries || []).map(e => [e.id, e]));
+  return (session.annotations || []).map(a => {
+    const e = a.entryId != null ? byId.get(a.entryId) : null;
+    const where = a.entryId == null ? `${fmtMs(a.t0)} – ${fmtMs(a.t1)}`
+      : e ? `${e.entryType}: ${shorten(e.name, 80)} @ ${fmtMs(e.startTime)}`
+      : `entry ${a.entryId} (not in this session)`;
+    return [esc(a.text), `<span class="mono">${esc(where)}</span>`];
+  });
+}
+
+// `analysis` is analyzeSession's result for what was on screen (entries resolved, not
+// ids); `shown` is how many entries that covered and `query` the filter that picked them.
+export function buildReport(session, { analysis, waterfallSvg = '', shown, query = '', generatedAt = Date.now() } = {}) {
+  const entries = session.entries || [];
+  const { stats, vitals, outliers = [], clusterInfo, budgetResults = [] } = analysis;
+  const title = session.name || 'PerfScope session';
+  const types = {};
+  for (const e of entries) types[e.entryType] = (types[e.entryType] || 0) + 1;
+  const typeList = Object.entries(types).sort((a, b) => b[1] - a[1]).map(([k, n]) => `${k}:${n}`).join('  ');
+  const x = session.excerpt;
+
+  const meta = [
+    ['started', new Date(session.startedAt).toLocaleString()],
+    ['entries', `${entries.length}${shown != null && shown !== entries.length ? ` (${shown} shown)` : ''}`],
+    ...(query ? [['filter', query]] : []),
+    ['types', typeList || '—'],
+    ...(session.tags?.length ? [['tags', session.tags.join(', ')]] : []),
+    ...((session.sources || []).length ? [['sources', session.sources.map(s => s.label || s.id).join(', ')]] : []),
+    ['p50 / p95 duration', `${fmtMs(stats.p50Duration)} / ${fmtMs(stats.p95Duration)}`],
+    ['time span', fmtMs(stats.maxTime - stats.minTime)],
+    ...(x ? [['excerpt', `${x.kept} of ${x.total} entries kept from a shared link`]] : []),
+    ...(session.quarantine?.length ? [['quarantined', `${session.quarantine.length} entries failed validation and are left out`]] : []),
+  ];
+
+  const outlierRows = outliers.map(o => {
+    const kind = OUTLIER_METRICS.find(m => m.key === o.by)?.kind;
+    return [
+      `<span class="mono">${o.z.toFixed(2)}</span>`,
+      `<span class="mono">${esc(shorten(o.group, 24))}</span>`,
+      esc(o.metric === 'multivariate' ? `multivariate · ${o.by}` : o.by),
+      `<span class="pill">${esc(o.entry.entryType)}</span>`,
+      `<span class="mono">${kind === 'bytes' ? fmtBytes(o.value) : fmtMs(o.value)}</span>`,
+      `<span class="mono" title="${esc(o.entry.name)}">${esc(shorten(o.entry.name, 90))}</span>`,
+    ];
+  });
+
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  const clusterRows = (clusterInfo?.profiles || []).filter(p => p.count).map(p => [
+    `<span class="mono">${p.cluster}</span>`,
+    esc(p.label),
+    `<span class="mono">${p.count}</span>`,
+    `<span class="mono">${fmtMs(p.startTime)}</span>`,
+    `<span class="mono">${fmtMs(p.duration)}</span>`,
+    `<span class="mono">${fmtBytes(p.bytes)}</span>`,
+    esc(`${pct(p.initiatorType.share)} ${p.initiatorType.value} • ${pct(p.host.share)} ${p.host.value || '?'}`),
+  ]);
+  const clusterNote = clusterInfo
+    ? `${clusterInfo.algorithm === 'dbscan' ? 'DBSCAN' : 'k-means'}, ${clusterInfo.k} cluster${clusterInfo.k === 1 ? '' : 's'}${clusterInfo.noise ? `, ${clusterInfo.noise} noise` : ''}${clusterInfo.unphased ? `, ${clusterInfo.unphased} without phase timing left out` : ''}`
+    : 'not clustered (too few entries or no features)';
+
+  const budgetRows = budgetResults.map(r => {
+    const status = r.pass == null ? 'n/a' : r.pass ? 'pass' : 'fail';
+    return [
+      `<span class="${status}">${status}</span>`,
+      `<span class="mono">${esc(formatBudget(r.budget))}</span>`,
+      `<span class="mono">${esc(formatBudgetValue(r.budget.metric, r.actual))}</span>`,
+      `<span class="mono">${r.offenders.slice(0, 3).map(e => esc(shorten(e.name, 60))).join('<br>')}</span>`,
+    ];
+  });
+
+  // `<` escaped so entry names can't close the script element.
+  const json = encodeSession(session).replace(/</g, '\\u003c');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${esc(title)} — PerfScope report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${esc(title)}</h1>
+<div class="muted">PerfScope report • generated ${esc(new Date(generatedAt).toLocaleString())} • import this file into PerfScope to explore the session</div>
+
+<h2>Session</h2>
+<div class="kvs">${meta.map(([k, v]) => `<div class="muted">${esc(k)}</div><div class="mono">${esc(v)}</div>`).join('')}</div>
+
+${session.notes ? `<h2>Notes</h2><div class="notes">${esc(session.notes)}</div>` : ''}
+${session.annotations?.length ? `<h2>Annotations</h2>${table(['note', 'on'], annotationRows(session), '')}` : ''}
+
+<h2>Waterfall</h2>
+<div class="wf">${waterfallSvg}</div>
+
+<h2>Core Web Vitals</h2>
+${vitalsTable(vitals)}
+
+<h2>Performance budgets</h2>
+${table(['status', 'budget', 'actual', 'worst offenders'], budgetRows, 'No budgets set.')}
+
+<h2>Top outliers (robust z-score)</h2>
+${table(['z', 'group', 'metric', 'type', 'value', 'name'], outlierRows, 'No outliers above the threshold.')}
+
+<h2>Clusters</h2>
+<div class="muted" style="margin-bottom:6px">${esc(clusterNote)}</div>
+${table(['#', 'profile', 'entries', 'typical start', 'typical duration', 'typical size', 'mostly'], clusterRows, '')}
+</main>
+<script type="application/json" id="${SESSION_TAG}">${json}</script>
+</body>
+</html>
+`;
+}
+
+export function isReport(text) {
+  return typeof text === 'string' && SESSION_RE.test(text);
+}
+
+// The session JSON embedded by buildReport (parsed, not yet validated).
+export function sessionFromReport(html) {
+  const m = SESSION_RE.exec(html);
+  if (!m) throw new Error('not a PerfScope report');
+  return JSON.parse(m[1]);
+}
@@ -0,0 +1,249 @@
+// Session schema: the current version, the migrations that bring older sessions up to
+// it, and field-level validation for anything loaded from outside (imports, permalinks,
+// the library, the CLI).
+//
+// A session is { v, startedAt, timeOrigin?, savedAt, name, tags, notes, budgets, sources, annotations,
+// entries, quarantine, excerpt? }. `timeOrigin` is the wall-clock time (ms since the epoch) of the
+// entries' zero, i.e. the recording page's performance.timeOrigin; `startedAt` is when
+// recording began. Entries are plain copies of PerformanceEntry objects plus an `id` and,
+// for remote probes, a `source` naming one of `sources`. Entries that fail validation
+// are moved to `quarantine` as { index, entry, errors } instead of reaching the analysis.
+// Annotations are { id, text, entryId } (pinned to an entry) or { id, text, t0, t1 } (a time
+// range on the entries' clock); one whose entry is gone is kept and shown as detached.
+
+import { BUDGET_METRICS } from './budgets.js';
+
+export const SESSION_VERSION = 2;
+
+// Each step takes a session at `from` and returns it at `from + 1`.
+const MIGRATIONS = {
+  // v1 marked probe entries with `_remote: true` and kept no source metadata.
+  1(s) {
+    const sources = Array.isArray(s.sources) ? s.sources : [];
+    const entries = Array.isArray(s.entries) ? s.entries : [];
+    const remote = entries.some(e => e && e._remote);
+    if (remote && !sources.some(src => src?.id === 'remote')) {
+      sources.push({ id: 'remote', url: '', label: 'remote probe', timeOrigin: null });
+    }
+    return {
+      ...s,
+      v: 2,
+      sources,
+      entries: entries.map(e => {
+        if (!e || !e._remote) return e;
+        const { _remote, ...rest } = e;
+        return { ...rest, source: rest.source || 'remote' };
+      }),
+      quarantine: [],
+    };
+  },
+};
+
+// Number fields that entries may carry; each must be finite when present.
+const NUMBER_FIELDS = [
+  'redirectStart', 'redirectEnd', 'fetchStart', 'domainLookupStart', 'domainLookupEnd',
+  'connectStart', 'secureConnectionStart', 'connectEnd', 'requestStart', 'responseStart', 'responseEnd',
+  'workerStart', 'domInteractive', 'domContentLoadedEventEnd', 'loadEventEnd',
+  'renderTime', 'loadTime', 'processingStart', 'processingEnd', 'renderStart', 'styleAndLayoutStart',
+  'firstUIEventTimestamp', 'blockingDuration', 'transferSize', 'encodedBodySize', 'decodedBodySize',
+  'size', 'value', 'interactionId', 'responseStatus',
+];
+const STRING_FIELDS = ['initiatorType', 'nextHopProtocol', 'renderBlockingStatus', 'deliveryType', 'type', 'url', 'culprit'];
+const BUDGET_OPS = ['<', '<='];
+
+const isObject = (x) => x != null && typeof x === 'object' && !Array.isArray(x);
+const show = (x) => {
+  const s = typeof x === 'string' ? `"${x}"` : JSON.stringify(x);
+  return s === undefined ? String(x) : s.length > 40 ? s.slice(0, 39) + '…' : s;
+};
+
+// Bring `obj` up to SESSION_VERSION. Sessions without a `v` are read as v1 (hand-made
+// `{ entries: [...] }` files). Returns { session, from }; throws only when `obj` isn't a
+// session at all or comes from a newer PerfScope.
+export function migrateSession(obj) {
+  if (!isObject(obj)) throw new Error('not a session: expected a JSON object');
+  const from = obj.v ?? 1;
+  if (!Number.isInteger(from) || from < 1) throw new Error(`not a session: bad version ${show(obj.v)}`);
+  if (from > SESSION_VERSION) {
+    throw new Error(`session version ${from} is newer than this PerfScope understands (${SESSION_VERSION})`);
+  }
+  let session = { ...obj, v: from };
+  for (let v = from; v < SESSION_VERSION; v++) session = MIGRATIONS[v](session);
+  return { session, from };
+}
+
+// Problems with one entry as ["field: message"]; empty when it's usable.
+function entryErrors(e) {
+  if (!isObject(e)) return [`expected an object, got ${show(e)}`];
+  const errors = [];
+  const finite = (k) => typeof e[k] === 'number' && Number.isFinite(e[k]);
+  if (typeof e.id !== 'string' && !(typeof e.id === 'number' && Number.isFinite(e.id))) errors.push(`id: expected a string or number, got ${show(e.id)}`);
+  if (typeof e.entryType !== 'string' || !e.entryType) errors.push(`entryType: expected a non-empty string, got ${show(e.entryType)}`);
+  if (typeof e.name !== 'string') errors.push(`name: expected a string, got ${show(e.name)}`);
+  if (!finite('startTime')) errors.push(`startTime: expected a finite number, got ${show(e.startTime)}`);
+  if (!finite('duration') || e.duration < 0) errors.push(`duration: expected a finite number ≥ 0, got ${show(e.duration)}`);
+  for (const k of NUMBER_FIELDS) {
+    if (e[k] != null && !finite(k)) errors.push(`${k}: expected a finite number, got ${show(e[k])}`);
+  }
+  for (const k of STRING_FIELDS) {
+    if (e[k] != null && typeof e[k] !== 'string') errors.push(`${k}: expected a string, got ${show(e[k])}`);
+  }
+  for (const k of ['serverTiming', 'scripts']) {
+    if (e[k] == null) continue;
+    if (!Array.isArray(e[k])) errors.push(`${k}: expected an array, got ${show(e[k])}`);
+    else if (e[k].some(x => !isObject(x))) errors.push(`${k}: expected an array of objects`);
+  }
+  if (e.source != null && typeof e.source !== 'string') errors.push(`source: expected a source id, got ${show(e.source)}`);
+  return errors;
+}
+
+// Check a migrated session field by field. Returns { session, report } where `session`
+// only holds usable values and `report` is
+// { from, errors: [{ path, message }], repaired: [{ path, message }], quarantined: [{ index, entry, errors }] }.
+// Session-level fields that are wrong are dropped or reset (listed in `errors`); small
+// gaps that have an obvious fill are filled (listed in `repaired`); bad entries are
+// quarantined.
+export function validateSession(session, { from = SESSION_VERSION } = {}) {
+  const errors = [];
+  const repaired = [];
+  const out = { v: SESSION_VERSION };
+
+  const num = (k, fallback) => {
+    if (session[k] == null) return fallback;
+    if (typeof session[k] === 'number' && Number.isFinite(session[k])) return session[k];
+    errors.push({ path: k, message: `expected a timestamp, got ${show(session[k])}` });
+    return fallback;
+  };
+  const str = (k) => {
+    if (session[k] == null) return '';
+    if (typeof session[k] === 'string') return session[k];
+    errors.push({ path: k, message: `expected a string, got ${show(session[k])}` });
+    return '';
+  };
+  const list = (k) => {
+    if (session[k] == null) return [];
+    if (Array.isArray(session[k])) return session[k];
+    errors.push({ path: k, message: `expected an array, got ${show(session[k])}` });
+    return [];
+  };
+
+  out.startedAt = num('startedAt', Date.now());
+  const timeOrigin = num('timeOrigin', null);
+  if (timeOrigin != null) out.timeOrigin = timeOrigin;
+  out.savedAt = num('savedAt', out.startedAt);
+  out.name = str('name');
+  out.notes = str('notes');
+  out.tags = list('tags').filter((t, i) => {
+    if (typeof t === 'string') return true;
+    errors.push({ path: `tags[${i}]`, message: `expected a string, got ${show(t)}` });
+    return false;
+  });
+
+  out.budgets = list('budgets').filter((b, i) => {
+    const path = `budgets[${i}]`;
+    let message = null;
+    if (!isObject(b)) message = `expected a budget object, got ${show(b)}`;
+    else if (!BUDGET_METRICS[b.metric]) message = `unknown metric ${show(b.metric)}`;
+    else if (!BUDGET_OPS.includes(b.op)) message = `op: expected "<" or "<=", got ${show(b.op)}`;
+    else if (typeof b.limit !== 'number' || !Number.isFinite(b.limit)) message = `limit: expected a finite number, got ${show(b.limit)}`;
+    else if (b.over != null && (typeof b.over !== 'number' || !Number.isFinite(b.over))) message = `over: expected a finite number, got ${show(b.over)}`;
+    if (message) errors.push({ path, message: `${message}; budget dropped` });
+    return !message;
+  });
+
+  out.sources = list('sources').filter((src, i) => {
+    if (isObject(src) && typeof src.id === 'string' && src.id) return true;
+    errors.push({ path: `sources[${i}]`, message: `expected { id, url, label }, got ${show(src)}; source dropped` });
+    return false;
+  });
+  const sourceIds = new Set(out.sources.map(src => src.id));
+
+  // Truncated permalinks describe the entries they left out (see permalink.js).
+  if (session.excerpt != null) {
+    const x = session.excerpt;
+    if (isObject(x) && Number.isInteger(x.total) && Number.isInteger(x.kept)) out.excerpt = x;
+    else errors.push({ path: 'excerpt', message: `expected { total, kept, … }, got ${show(x)}; dropped` });
+  }
+
+  let missingNoteIds = 0;
+  out.annotations = list('annotations').filter((a, i) => {
+    const path = `annotations[${i}]`;
+    const finite = (v) => typeof v === 'number' && Number.isFinite(v);
+    let message = null;
+    if (!isObject(a)) message = `expected { id, text, entryId } or { id, text, t0, t1 }, got ${show(a)}`;
+    else if (typeof a.text !== 'string') message = `text: expected a string, got ${show(a.text)}`;
+    else if (a.id != null && typeof a.id !== 'string') message = `id: expected a string, got ${show(a.id)}`;
+    else if (a.entryId != null) {
+      if (typeof a.entryId !== 'string' && !finite(a.entryId)) message = `entryId: expected a string or number, got ${show(a.entryId)}`;
+    } else if (!finite(a.t0) || !finite(a.t1) || a.t1 < a.t0) {
+      message = `expected an entryId or a range with t0 ≤ t1, got ${show(a)}`;
+    }
+    if (message) errors.push({ path, message: `${message}; annotation dropped` });
+    return !message;
+  }).map((a, i) => {
+    if (a.id != null) return a;
+    missingNoteIds++;
+    return { ...a, id: `note-${i}` };
+  });
+  if (missingNoteIds) repaired.push({ path: 'annotations[].id', message: `${missingNoteIds} missing; set to "note-<index>"` });
+
+  const entries = list('entries');
+  const seen = new Set();
+  const quarantined = [];
+  let missingIds = 0;
+  let duplicateIds = 0;
+  out.entries = [];
+  entries.forEach((e, index) => {
+    // Hand-made files often omit ids; give them one rather than rejecting the entry.
+    if (isObject(e) && e.id == null) {
+      e = { ...e, id: `imported-${index}` };
+      missingIds++;
+    }
+    const problems = entryErrors(e);
+    // Sessions recorded across reloads before ids had a per-load prefix reuse `e1, e2…`;
+    // both entries are real, so the later one gets a fresh id rather than quarantine.
+    if (!problems.length && seen.has(e.id)) {
+      let n = 2;
+      while (seen.has(`${e.id}~${n}`)) n++;
+      e = { ...e, id: `${e.id}~${n}` };
+      duplicateIds++;
+    }
+    if (problems.length) {
+      quarantined.push({ index, entry: e, errors: problems });
+      return;
+    }
+    seen.add(e.id);
+    // Sessions saved before sources were tracked name a source without describing it.
+    if (e.source != null && !sourceIds.has(e.source)) {
+      sourceIds.add(e.source);
+      out.sources.push({ id: e.source, url: '', label: e.source, timeOrigin: null });
+      repaired.push({ path: `entries[${index}].source`, message: `unknown source "${e.source}"; added it to sources` });
+    }
+    out.entries.push(e);
+  });
+
+  if (missingIds) repaired.push({ path: 'entries[].id', message: `${missingIds} missing; set to "imported-<index>"` });
+  if (duplicateIds) repaired.push({ path: 'entries[].id', message: `${duplicateIds} duplicate${duplicateIds === 1 ? '' : 's'} of earlier entries; renamed to "<id>~<n>"` });
+
+  // Entries quarantined by an earlier load stay quarantined.
+  const earlier = list('quarantine').filter(q => isObject(q) && Array.isArray(q.errors));
+  out.quarantine = [...earlier, ...quarantined];
+
+  return { session: out, report: { from, errors, repaired, quarantined } };
+}
+
+// migrateSession + validateSession.
+export function readSession(obj) {
+  const { session, from } = migrateSession(obj);
+  return validateSession(session, { from });
+}
+
+// One line per problem, for status bars, stderr and the import report.
+export function describeReport(report) {
+  const lines = [];
+  if (report.from < SESSION_VERSION) lines.push(`upgraded from session format v${report.from} to v${SESSION_VERSION}`);
+  for (const e of report.errors) lines.push(`${e.path}: ${e.message}`);
+  for (const r of report.repaired) lines.push(`${r.path}: ${r.message}`);
+  for (const q of report.quarantined) lines.push(`entries[${q.index}] quarantined: ${q.errors.join('; ')}`);
+  return lines;
+}
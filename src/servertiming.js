@@ -0,0 +1,29 @@
+// Server-Timing aggregation: backend metrics reported by responses across a session.
+
+import { percentile } from './stats.js';
+
+// One row per metric name: how often it was reported and its duration spread.
+export function serverTimingSummary(entries) {
+  const byName = new Map();
+  for (const e of entries) {
+    for (const st of e.serverTiming || []) {
+      if (!st?.name) continue;
+      if (!byName.has(st.name)) byName.set(st.name, { name: st.name, count: 0, durations: [], descriptions: new Set() });
+      const m = byName.get(st.name);
+      m.count++;
+      if (Number.isFinite(st.duration)) m.durations.push(st.duration);
+      if (st.description) m.descriptions.add(st.description);
+    }
+  }
+  return [...byName.values()]
+    .map(m => ({
+      name: m.name,
+      count: m.count,
+      p50: percentile(m.durations, 0.50),
+      p95: percentile(m.durations, 0.95),
+      max: m.durations.length ? Math.max(...m.durations) : 0,
+      total: m.durations.reduce((s, d) => s + d, 0),
+      description: [...m.descriptions][0] || '',
+    }))
+    .sort((a, b) => b.total - a.total);
+}
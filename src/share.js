@@ -1,22 +1,30 @@
-// Minimal schema + forward compatibility.
+// Session JSON for the library. The schema itself lives in schema.js; permalinks use
+// the compact encoding in permalink.js.
+
+import { SESSION_VERSION, readSession } from './schema.js';
 
 export function encodeSession(session) {
   // Keep as JSON string (then compressed in app.js).
-  // Future versions can change the schema but preserve "v".
   const safe = {
-    v: 1,
+    v: SESSION_VERSION,
     startedAt: session.startedAt || Date.now(),
+    ...(Number.isFinite(session.timeOrigin) ? { timeOrigin: session.timeOrigin } : {}),
     savedAt: session.savedAt || Date.now(),
+    name: session.name || '',
+    tags: Array.isArray(session.tags) ? session.tags : [],
     notes: session.notes || '',
+    budgets: Array.isArray(session.budgets) ? session.budgets : [],
+    sources: Array.isArray(session.sources) ? session.sources : [],
+    annotations: Array.isArray(session.annotations) ? session.annotations : [],
     entries: Array.isArray(session.entries) ? session.entries : [],
+    quarantine: Array.isArray(session.quarantine) ? session.quarantine : [],
+    ...(session.excerpt ? { excerpt: session.excerpt } : {}),
   };
   return JSON.stringify(safe);
 }
 
+// Older versions are migrated and bad entries quarantined (see readSession); use
+// readSession directly when the problems should be shown to someone.
 export function decodeSession(json) {
-  const obj = JSON.parse(json);
-  if (!obj || typeof obj !== 'object') throw new Error('bad session');
-  if (obj.v !== 1) throw new Error('unsupported session version');
-  if (!Array.isArray(obj.entries)) obj.entries = [];
-  return obj;
+  return readSession(JSON.parse(json)).session;
 }
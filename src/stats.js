@@ -14,9 +14,11 @@ export function computeStats(entries) {
   return { minTime, maxTime, p50Duration, p95Duration };
 }
 
-export function robustZOutliers(entries, { topN = 10 } = {}) {
-  const d = entries.map(e => e.duration).filter(Number.isFinite).sort((a,b)=>a-b);
-  if (d.length < 8) return [];
+// Entries whose `value` (duration by default) sits more than `threshold` robust
+// z-scores above the median; needs at least `minSamples` finite values.
+export function robustZOutliers(entries, { topN = 10, threshold = 2.5, minSamples = 8, value = e => e.duration } = {}) {
+  const d = entries.map(value).filter(Number.isFinite).sort((a,b)=>a-b);
+  if (d.length < minSamples) return [];
 
   const med = percentileSorted(d, 0.5);
   const mad = median(d.map(x => Math.abs(x - med)).sort((a,b)=>a-b)) || 1e-9;
@@ -24,15 +26,92 @@ export function robustZOutliers(entries, { topN = 10 } = {}) {
   const scale = 0.6745 / mad;
 
   const scored = entries
-    .filter(e => Number.isFinite(e.duration))
-    .map(e => ({ entry: e, z: (e.duration - med) * scale }))
-    .filter(o => o.z > 2.5)
+    .filter(e => Number.isFinite(value(e)))
+    .map(e => ({ entry: e, z: (value(e) - med) * scale }))
+    .filter(o => o.z > threshold)
     .sort((a,b)=>b.z-a.z)
     .slice(0, topN);
 
   return scored;
 }
 
+// Squared robust Mahalanobis distances of `rows` (n × p): a minimum covariance
+// determinant style estimate. Start from the 75% of rows closest to the coordinate-wise
+// median (in MAD units), then repeat C-steps (refit mean/covariance on the closest 75%)
+// until the subset stops changing. Distances are rescaled so their median matches
+// the chi-squared median, which makes them consistent for normal data.
+export function robustMahalanobis(rows, { support = 0.75, maxSteps = 20 } = {}) {
+  const n = rows.length;
+  const p = rows[0]?.length || 0;
+  if (!n || !p) return [];
+  const h = Math.max(p + 1, Math.ceil(support * n));
+
+  const cols = Array.from({ length: p }, (_, j) => rows.map(r => r[j]).sort((a,b)=>a-b));
+  const med = cols.map(c => median(c));
+  const mad = cols.map((c, j) => median(c.map(x => Math.abs(x - med[j])).sort((a,b)=>a-b)) * 1.4826 || 1);
+  let d2 = rows.map(r => r.reduce((s, x, j) => s + ((x - med[j]) / mad[j]) ** 2, 0));
+
+  let subset = null;
+  for (let step=0; step<maxSteps; step++) {
+    const next = d2.map((d, i) => [d, i]).sort((a,b)=>a[0]-b[0]).slice(0, Math.min(h, n)).map(x => x[1]).sort((a,b)=>a-b);
+    if (subset && next.every((v, i) => v === subset[i])) break;
+    subset = next;
+    const { mean, inv } = fitGaussian(subset.map(i => rows[i]), p);
+    d2 = rows.map(r => mahalanobis2(r, mean, inv));
+  }
+
+  const chi2Median = p * (1 - 2 / (9 * p)) ** 3;
+  const factor = median(d2.slice().sort((a,b)=>a-b)) / chi2Median || 1;
+  return d2.map(d => d / factor);
+}
+
+// Wilson–Hilferty: a chi-squared(p) value as an approximately standard normal z, so
+// multivariate distances can share the univariate z threshold.
+export function chi2ToZ(x, p) {
+  const v = 2 / (9 * p);
+  return (Math.cbrt(x / p) - (1 - v)) / Math.sqrt(v);
+}
+
+function fitGaussian(rows, p) {
+  const n = rows.length;
+  const mean = Array(p).fill(0);
+  for (const r of rows) for (let j=0;j<p;j++) mean[j] += r[j] / n;
+  const cov = Array.from({ length: p }, () => Array(p).fill(0));
+  for (const r of rows) {
+    for (let a=0;a<p;a++) for (let b=0;b<p;b++) cov[a][b] += (r[a]-mean[a]) * (r[b]-mean[b]) / Math.max(1, n-1);
+  }
+  // A tiny ridge keeps degenerate columns (e.g. all-zero phases) invertible.
+  const trace = cov.reduce((s, row, j) => s + row[j], 0);
+  for (let j=0;j<p;j++) cov[j][j] += (trace / p || 1) * 1e-6;
+  return { mean, inv: invert(cov) };
+}
+
+function mahalanobis2(r, mean, inv) {
+  const p = r.length;
+  let s = 0;
+  for (let a=0;a<p;a++) for (let b=0;b<p;b++) s += (r[a]-mean[a]) * inv[a][b] * (r[b]-mean[b]);
+  return Math.max(0, s);
+}
+
+// Gauss–Jordan inverse with partial pivoting (small, symmetric positive definite matrices).
+function invert(m) {
+  const p = m.length;
+  const a = m.map((row, i) => [...row, ...Array.from({ length: p }, (_, j) => (i === j ? 1 : 0))]);
+  for (let c=0;c<p;c++) {
+    let piv = c;
+    for (let r=c+1;r<p;r++) if (Math.abs(a[r][c]) > Math.abs(a[piv][c])) piv = r;
+    [a[c], a[piv]] = [a[piv], a[c]];
+    const d = a[c][c] || 1e-12;
+    for (let j=0;j<2*p;j++) a[c][j] /= d;
+    for (let r=0;r<p;r++) {
+      if (r === c) continue;
+      const f = a[r][c];
+      if (f) for (let j=0;j<2*p;j++) a[r][j] -= f * a[c][j];
+    }
+  }
+  return a.map(row => row.slice(p));
+}
+
 export function normalizeRows(rows) {
   // Standardize columns to zero mean, unit stdev.
   const n = rows.length;
@@ -104,6 +183,104 @@ export function kmeans(X, k, { seed = 1, iters = 25 } = {}) {
   return { centers, assign };
 }
 
+// DBSCAN: points with at least minPts neighbours within eps (themselves included) are
+// core points; clusters grow outward through core points and everything unreachable
+// is noise (-1). Without eps, it is taken at the knee of the sorted distances to each
+// point's (minPts-1)-th nearest neighbour. Returns { assign, k, eps }.
+export function dbscan(X, { eps = null, minPts = 5 } = {}) {
+  const n = X.length;
+  if (!(eps > 0)) eps = kDistanceKnee(X, minPts);
+  const eps2 = eps * eps;
+  const neighbours = (i) => {
+    const out = [];
+    for (let j=0;j<n;j++) if (sqDist(X[i], X[j]) <= eps2) out.push(j);
+    return out;
+  };
+
+  const UNSEEN = -2;
+  const assign = new Array(n).fill(UNSEEN);
+  let k = 0;
+  for (let i=0;i<n;i++) {
+    if (assign[i] !== UNSEEN) continue;
+    const nb = neighbours(i);
+    if (nb.length < minPts) { assign[i] = -1; continue; }
+    assign[i] = k;
+    const queue = nb;
+    for (let q=0;q<queue.length;q++) {
+      const j = queue[q];
+      if (assign[j] === -1) assign[j] = k; // border point
+      if (assign[j] !== UNSEEN) continue;
+      assign[j] = k;
+      const nj = neighbours(j);
+      if (nj.length >= minPts) for (const m of nj) queue.push(m);
+    }
+    k++;
+  }
+  return { assign, k, eps };
+}
+
+// Knee (point farthest from the chord) of the ascending k-distance curve.
+function kDistanceKnee(X, minPts) {
+  const n = X.length;
+  const m = Math.max(1, Math.min(minPts - 1, n - 1));
+  const kd = [];
+  for (let i=0;i<n;i++) {
+    // The m smallest squared distances to other points, ascending.
+    const best = [];
+    for (let j=0;j<n;j++) {
+      if (i === j) continue;
+      const d = sqDist(X[i], X[j]);
+      if (best.length === m && d >= best[m-1]) continue;
+      let p = best.length < m ? best.length : m - 1;
+      while (p > 0 && best[p-1] > d) { best[p] = best[p-1]; p--; }
+      best[p] = d;
+    }
+    kd.push(Math.sqrt(best[best.length-1] ?? 0));
+  }
+  kd.sort((a,b)=>a-b);
+
+  const lo = kd[0];
+  const hi = kd[n-1];
+  if (!(hi > lo)) return Math.max(hi, 1e-9);
+  let knee = 0;
+  let bestDist = -Infinity;
+  for (let i=0;i<n;i++) {
+    // Distance below the chord in unit-square coordinates.
+    const dist = i / Math.max(1, n-1) - (kd[i] - lo) / (hi - lo);
+    if (dist > bestDist) { bestDist = dist; knee = i; }
+  }
+  return Math.max(kd[knee], 1e-9);
+}
+
+// Mean silhouette width of a clustering, from -1 (wrong clusters) to 1 (tight and
+// well separated). Singletons score 0. Large inputs are scored on an evenly spaced
+// sample so this stays O(maxSamples²).
+export function silhouette(X, assign, k, { maxSamples = 800 } = {}) {
+  const n = X.length;
+  const step = Math.max(1, n / maxSamples);
+  const idx = [];
+  for (let i=0;i<n;i+=step) idx.push(Math.floor(i));
+
+  let total = 0;
+  for (const i of idx) {
+    const sum = new Array(k).fill(0);
+    const cnt = new Array(k).fill(0);
+    for (const j of idx) {
+      if (i === j) continue;
+      sum[assign[j]] += Math.sqrt(sqDist(X[i], X[j]));
+      cnt[assign[j]]++;
+    }
+    const own = assign[i];
+    if (!cnt[own]) continue;
+    const a = sum[own] / cnt[own];
+    let b = Infinity;
+    for (let c=0;c<k;c++) if (c !== own && cnt[c]) b = Math.min(b, sum[c] / cnt[c]);
+    if (!Number.isFinite(b)) continue;
+    total += (b - a) / (Math.max(a, b) || 1);
+  }
+  return idx.length ? total / idx.length : 0;
+}
+
 function sqDist(a, b) {
   let s = 0;
   for (let i=0;i<a.length;i++) { const d = a[i]-b[i]; s += d*d; }
@@ -119,7 +296,7 @@ function mulberry32(a) {
   }
 }
 
-function percentile(xs, p) {
+export function percentile(xs, p) {
   if (!xs.length) return 0;
   const a = xs.slice().sort((x,y)=>x-y);
   return percentileSorted(a, p);
@@ -0,0 +1,144 @@
+// A stand-in for <canvas> that records 2D drawing calls as SVG, so the waterfall's canvas
+// code can also produce vector exports. Covers what waterfall.js uses: rects, paths with
+// lines/arcs, fill/stroke, text, dashes, clipping and save/restore. Text is measured
+// approximately (no font metrics outside a real canvas).
+
+const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const num = (v) => Math.round(v * 100) / 100;
+
+// "10px ui-monospace, Menlo, …" → { size, family }
+function parseFont(font) {
+  const m = /(\d+(?:\.\d+)?)px\s+(.*)$/.exec(font);
+  return m ? { size: Number(m[1]), family: m[2] } : { size: 10, family: 'sans-serif' };
+}
+
+function createSvgContext() {
+  const out = [];
+  const clips = [];
+  let d = '';
+  let cur = [0, 0];
+  let start = [0, 0];
+  let st = { fillStyle: '#000', strokeStyle: '#000', lineWidth: 1, font: '10px sans-serif', dash: [], clip: null };
+  const stack = [];
+
+  const clipAttr = () => (st.clip ? ` clip-path="url(#${st.clip})"` : '');
+  const strokeAttrs = () => `fill="none" stroke="${esc(st.strokeStyle)}" stroke-width="${num(st.lineWidth)}"`
+    + (st.dash.length ? ` stroke-dasharray="${st.dash.map(num).join(' ')}"` : '');
+  const move = (x, y) => {
+    d += `M${num(x)} ${num(y)}`;
+    cur = start = [x, y];
+  };
+  const line = (x, y) => {
+    d += `L${num(x)} ${num(y)}`;
+    cur = [x, y];
+  };
+
+  const ctx = {
+    get fillStyle() { return st.fillStyle; },
+    set fillStyle(v) { st.fillStyle = v; },
+    get strokeStyle() { return st.strokeStyle; },
+    set strokeStyle(v) { st.strokeStyle = v; },
+    get lineWidth() { return st.lineWidth; },
+    set lineWidth(v) { st.lineWidth = v; },
+    get font() { return st.font; },
+    set font(v) { st.font = v; },
+
+    save() { stack.push({ ...st }); },
+    restore() { if (stack.length) st = stack.pop(); },
+    setLineDash(dash) { st.dash = dash.slice(); },
+
+    clearRect() {},
+    fillRect(x, y, w, h) {
+      out.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="${esc(st.fillStyle)}"${clipAttr()}/>`);
+    },
+    strokeRect(x, y, w, h) {
+      out.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" ${strokeAttrs()}${clipAttr()}/>`);
+    },
+
+    beginPath() { d = ''; },
+    moveTo: move,
+    lineTo: line,
+    closePath() {
+      d += 'Z';
+      cur = start;
+    },
+    rect(x, y, w, h) {
+      move(x, y);
+      d += `h${num(w)}v${num(h)}h${num(-w)}Z`;
+    },
+    arc(x, y, r, a0, a1) {
+      const p = (a) => [x + r * Math.cos(a), y + r * Math.sin(a)];
+      const [sx, sy] = p(a0);
+      d ? line(sx, sy) : move(sx, sy);
+      // A full turn is two half arcs; SVG can't draw one arc back onto its start point.
+      const sweep = a1 - a0;
+      const steps = Math.abs(sweep) >= Math.PI * 2 - 1e-9 ? [a0 + Math.PI, a0 + Math.PI * 2] : [a1];
+      for (const a of steps) {
+        const [ex, ey] = p(a);
+        const large = Math.abs(a - a0) > Math.PI && steps.length === 1 ? 1 : 0;
+        d += `A${num(r)} ${num(r)} 0 ${large} 1 ${num(ex)} ${num(ey)}`;
+        cur = [ex, ey];
+      }
+    },
+    // Rounded corner from the current point towards (x2, y2) via (x1, y1), as canvas does it.
+    arcTo(x1, y1, x2, y2, r) {
+      const [x0, y0] = cur;
+      const v1 = [x0 - x1, y0 - y1];
+      const v2 = [x2 - x1, y2 - y1];
+      const l1 = Math.hypot(...v1);
+      const l2 = Math.hypot(...v2);
+      const cross = v1[0] * v2[1] - v1[1] * v2[0];
+      if (!r || !l1 || !l2 || Math.abs(cross) < 1e-9) return line(x1, y1);
+      const angle = Math.acos(Math.max(-1, Math.min(1, (v1[0] * v2[0] + v1[1] * v2[1]) / (l1 * l2))));
+      const t = r / Math.tan(angle / 2);
+      line(x1 + v1[0] / l1 * t, y1 + v1[1] / l1 * t);
+      const ex = x1 + v2[0] / l2 * t;
+      const ey = y1 + v2[1] / l2 * t;
+      d += `A${num(r)} ${num(r)} 0 0 ${cross < 0 ? 1 : 0} ${num(ex)} ${num(ey)}`;
+      cur = [ex, ey];
+    },
+    fill() {
+      if (d) out.push(`<path d="${d}" fill="${esc(st.fillStyle)}"${clipAttr()}/>`);
+    },
+    stroke() {
+      if (d) out.push(`<path d="${d}" ${strokeAttrs()}${clipAttr()}/>`);
+    },
+    // Canvas intersects a new clip with the current one; a clip-path on the clipPath does the same.
+    clip() {
+      const id = `clip${clips.length}`;
+      clips.push(`<clipPath id="${id}"${clipAttr()}><path d="${d}"/></clipPath>`);
+      st.clip = id;
+    },
+
+    fillText(text, x, y) {
+      const { size, family } = parseFont(st.font);
+      out.push(`<text x="${num(x)}" y="${num(y)}" font-size="${num(size)}" font-family="${esc(family)}" fill="${esc(st.fillStyle)}" xml:space="preserve"${clipAttr()}>${esc(text)}</text>`);
+    },
+    measureText(text) {
+      const { size, family } = parseFont(st.font);
+      return { width: [...String(text)].length * size * (/mono/i.test(family) ? 0.6 : 0.55) };
+    },
+  };
+
+  const toString = (width, height) => [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    clips.length ? `<defs>${clips.join('')}</defs>` : '',
+    ...out,
+    '</svg>',
+  ].join('\n');
+
+  return { ctx, toString };
+}
+
+// Pass it where a canvas goes (with an explicit `size`), then call toSvg().
+export function createSvgCanvas() {
+  const { ctx, toString } = createSvgContext();
+  return {
+    width: 300,
+    height: 150,
+    getContext: () => ctx,
+    toSvg() {
+      return toString(this.width, this.height);
+    },
+  };
+}
@@ -0,0 +1,140 @@
+// Per-origin / per-domain / per-vendor cost breakdown of a session's requests.
+
+import { registrableDomain } from './psl.js';
+import { firstPartyHost, isThirdParty } from './budgets.js';
+import { isTimingRestricted } from './timing.js';
+
+export const BREAKDOWN_GROUPS = [
+  { key: 'origin', label: 'origin' },
+  { key: 'domain', label: 'registrable domain' },
+  { key: 'vendor', label: 'vendor' },
+];
+
+// Starting point for the editable vendor map; users extend or replace it.
+export const DEFAULT_VENDOR_MAP = `# host pattern → vendor (first match wins; "*.x.com" also matches x.com)
+*.googletagmanager.com → Google Tag Manager
+*.google-analytics.com → Google Analytics
+*.doubleclick.net → Google Ads
+*.googlesyndication.com → Google Ads
+fonts.googleapis.com → Google Fonts
+fonts.gstatic.com → Google Fonts
+*.youtube.com → YouTube
+*.ytimg.com → YouTube
+*.facebook.net → Meta
+*.facebook.com → Meta
+*.hotjar.com → Hotjar
+*.segment.com → Segment
+*.segment.io → Segment
+*.intercom.io → Intercom
+*.intercomcdn.com → Intercom
+*.stripe.com → Stripe
+*.sentry.io → Sentry
+*.nr-data.net → New Relic
+*.newrelic.com → New Relic
+*.optimizely.com → Optimizely
+cdn.jsdelivr.net → jsDelivr
+unpkg.com → unpkg
+cdnjs.cloudflare.com → cdnjs
+`;
+
+const LINE_RE = /^(\S+)\s*(?:→|->|=>)\s*(.+)$/;
+const PATTERN_RE = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+
+// One "pattern → Vendor" per line ("->" works too). Blank lines and "#" comments are
+// ignored. Returns { rules: [{ pattern, vendor }], errors: [{ line, message }] }.
+export function parseVendorMap(text) {
+  const rules = [];
+  const errors = [];
+  String(text || '').split('\n').forEach((raw, i) => {
+    const line = raw.replace(/#.*/, '').trim();
+    if (!line) return;
+    const m = LINE_RE.exec(line);
+    if (!m) {
+      errors.push({ line: i + 1, message: `expected "host pattern → vendor", got "${line}"` });
+      return;
+    }
+    const [, pattern, vendor] = m;
+    if (!PATTERN_RE.test(pattern)) {
+      errors.push({ line: i + 1, message: `"${pattern}" is not a host or "*.host" pattern` });
+      return;
+    }
+    rules.push({ pattern: pattern.toLowerCase(), vendor: vendor.trim() });
+  });
+  return { rules, errors };
+}
+
+function hostMatches(pattern, host) {
+  if (!pattern.startsWith('*.')) return host === pattern;
+  const base = pattern.slice(2);
+  return host === base || host.endsWith('.' + base);
+}
+
+const urlOf = (s) => {
+  try {
+    return new URL(s);
+  } catch {
+    return null;
+  }
+};
+
+export function vendorOf(host, rules) {
+  const h = String(host || '').toLowerCase();
+  return (rules || []).find(r => hostMatches(r.pattern, h))?.vendor || null;
+}
+
+// Group key of a URL. Hosts no vendor rule matches roll up by registrable domain.
+export function groupOf(url, by, rules) {
+  const u = urlOf(url);
+  if (!u) return '(no origin)';
+  if (by === 'origin') return u.origin;
+  const domain = registrableDomain(u.hostname);
+  return by === 'vendor' ? vendorOf(u.hostname, rules) || domain : domain;
+}
+
+// Main-thread blocking per group, from long-animation-frame script attribution: each
+// frame's blockingDuration is split between its scripts by their duration.
+function blockingByGroup(entries, key) {
+  const out = new Map();
+  for (const f of entries) {
+    if (f.entryType !== 'long-animation-frame' || !(f.blockingDuration > 0)) continue;
+    const scripts = (f.scripts || []).filter(s => s.sourceURL && s.duration > 0);
+    const total = scripts.reduce((sum, s) => sum + s.duration, 0);
+    for (const s of scripts) {
+      const g = key(s.sourceURL);
+      out.set(g, (out.get(g) || 0) + f.blockingDuration * s.duration / total);
+    }
+  }
+  return out;
+}
+
+// [{ key, firstParty, origins, requests, bytes, blockingTime, renderBlocking, restricted, entries }]
+// sorted by bytes, one row per group of resource/navigation entries.
+// - by: a BREAKDOWN_GROUPS key; vendor grouping uses `vendors` (parseVendorMap rules).
+// - First party is the navigation's registrable domain (see isThirdParty).
+// - restricted counts entries whose timing is zeroed for lack of Timing-Allow-Origin.
+export function originBreakdown(entries, { by = 'domain', vendors = [], host = firstPartyHost(entries) } = {}) {
+  const key = (url) => groupOf(url, by, vendors);
+  const groups = new Map();
+  for (const e of entries) {
+    if (e.entryType !== 'resource' && e.entryType !== 'navigation') continue;
+    const k = key(e.name);
+    if (!groups.has(k)) {
+      groups.set(k, { key: k, firstParty: true, origins: new Set(), requests: 0, bytes: 0, blockingTime: 0, renderBlocking: 0, restricted: 0, entries: [] });
+    }
+    const g = groups.get(k);
+    g.requests++;
+    g.bytes += e.transferSize || 0;
+    if (e.renderBlockingStatus === 'blocking') g.renderBlocking++;
+    if (isTimingRestricted(e)) g.restricted++;
+    if (isThirdParty(e.name, host)) g.firstParty = false;
+    const u = urlOf(e.name);
+    if (u) g.origins.add(u.origin);
+    g.entries.push(e);
+  }
+  for (const [k, ms] of blockingByGroup(entries, key)) {
+    if (groups.has(k)) groups.get(k).blockingTime += ms;
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, origins: [...g.origins] }))
+    .sort((a, b) => b.bytes - a.bytes || b.requests - a.requests);
+}
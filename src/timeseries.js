@@ -0,0 +1,79 @@
+// Session activity bucketed over time: network concurrency, bytes received and main-thread
+// busyness, for the charts under the waterfall.
+
+// Main-thread time past this within a long task counts as blocking (as in Total Blocking Time).
+export const BLOCKING_THRESHOLD_MS = 50;
+
+const isNetwork = (e) => e.entryType === 'resource' || e.entryType === 'navigation';
+
+// Bytes arrive between responseStart and responseEnd; without those (cross-origin
+// resources lacking Timing-Allow-Origin) the whole request span is used.
+function receiveSpan(e) {
+  const end = e.responseEnd > 0 ? e.responseEnd : e.startTime + e.duration;
+  const start = e.responseStart > 0 && e.responseStart <= end ? e.responseStart : e.startTime;
+  return [start, end];
+}
+
+// Add `amount` spread evenly over [a, b] to the buckets it overlaps; an instant lands in one bucket.
+function spread(out, t0, step, a, b, amount) {
+  const n = out.length;
+  if (!(b > a)) {
+    const i = Math.floor((a - t0) / step);
+    if (i >= 0 && i < n) out[i] += amount;
+    return;
+  }
+  const rate = amount / (b - a);
+  const first = Math.max(0, Math.floor((a - t0) / step));
+  const last = Math.min(n - 1, Math.floor((b - t0) / step));
+  for (let i = first; i <= last; i++) {
+    const lo = Math.max(a, t0 + i * step);
+    const hi = Math.min(b, t0 + (i + 1) * step);
+    if (hi > lo) out[i] += rate * (hi - lo);
+  }
+}
+
+// Bucket [t0, t1] into `buckets` equal intervals of `step` ms. Per bucket:
+// - inflight: time-averaged number of open requests (resource/navigation entries)
+// - bytes: transferSize received, spread over each response's download
+// - busy / blocked: ms of long tasks, and of their part past BLOCKING_THRESHOLD_MS
+// Marks and measures come back as `annotations` ([{ entry, label, start, end }], marks have start === end).
+export function bucketSeries(entries, { t0, t1, buckets = 100 } = {}) {
+  const n = Math.max(1, Math.floor(buckets));
+  const step = Math.max(1e-9, (t1 - t0) / n);
+  const inflight = new Array(n).fill(0);
+  const bytes = new Array(n).fill(0);
+  const busy = new Array(n).fill(0);
+  const blocked = new Array(n).fill(0);
+  const annotations = [];
+
+  for (const e of entries) {
+    if (!Number.isFinite(e.startTime)) continue;
+    const end = e.startTime + (e.duration || 0);
+    if (isNetwork(e)) {
+      // Averaging over the bucket: overlap / step requests.
+      spread(inflight, t0, step, e.startTime, end, (end - e.startTime) / step);
+      if (e.transferSize > 0) spread(bytes, t0, step, ...receiveSpan(e), e.transferSize);
+    } else if (e.entryType === 'longtask') {
+      spread(busy, t0, step, e.startTime, end, e.duration || 0);
+      const from = e.startTime + BLOCKING_THRESHOLD_MS;
+      if (end > from) spread(blocked, t0, step, from, end, end - from);
+    } else if (e.entryType === 'mark' || e.entryType === 'measure') {
+      if (end >= t0 && e.startTime <= t1) annotations.push({ entry: e, label: e.name, start: e.startTime, end });
+    }
+  }
+  return { t0, t1, step, inflight, bytes, busy, blocked, annotations };
+}
+
+// Values of the bucket containing time t, or null outside the range.
+export function seriesAt(series, t) {
+  const i = Math.floor((t - series.t0) / series.step);
+  if (!(i >= 0 && i < series.inflight.length)) return null;
+  return {
+    start: series.t0 + i * series.step,
+    end: series.t0 + (i + 1) * series.step,
+    inflight: series.inflight[i],
+    bytes: series.bytes[i],
+    busy: series.busy[i],
+    blocked: series.blocked[i],
+  };
+}
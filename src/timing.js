@@ -0,0 +1,63 @@
+// Derived Resource Timing phases shared by the details panel and session diffing.
+
+export const PHASES = ['dns', 'tcp', 'tls', 'ttfb', 'download'];
+
+// Phase durations in ms, or null when they're unknown: cross-origin without
+// Timing-Allow-Origin zeroes requestStart/responseStart, and subtracting those zeros
+// would turn absolute timestamps into phases.
+export function resourcePhases(e) {
+  if (!Number.isFinite(e.startTime) || isTimingRestricted(e)) return null;
+  if (!(e.requestStart > 0) || !(e.responseStart > 0)) return null;
+  return {
+    dns: (e.domainLookupEnd || 0) - (e.domainLookupStart || 0),
+    tcp: (e.connectEnd || 0) - (e.connectStart || 0),
+    tls: e.secureConnectionStart ? (e.connectEnd - e.secureConnectionStart) : 0,
+    ttfb: (e.responseStart || 0) - (e.requestStart || 0),
+    download: (e.responseEnd || 0) - (e.responseStart || 0),
+  };
+}
+
+// Waterfall bar segments, in request order.
+export const PHASE_SEGMENTS = [
+  { key: 'redirect', label: 'redirect' },
+  { key: 'queue', label: 'queueing/stall' },
+  { key: 'dns', label: 'dns' },
+  { key: 'tcp', label: 'tcp' },
+  { key: 'tls', label: 'tls' },
+  { key: 'ttfb', label: 'request/ttfb' },
+  { key: 'download', label: 'download' },
+];
+
+// Cross-origin resources without Timing-Allow-Origin report 0 for every phase timestamp;
+// only startTime/fetchStart/responseEnd/duration survive.
+export function isTimingRestricted(e) {
+  if (e.entryType !== 'resource') return false;
+  return !(e.requestStart > 0) && !(e.responseStart > 0) && e.duration > 0;
+}
+
+// [{ phase, start, end }] covering a resource/navigation entry, or null when the
+// breakdown is unavailable (TAO-restricted or not a fetch).
+export function phaseSegments(e) {
+  if (e.entryType !== 'resource' && e.entryType !== 'navigation') return null;
+  if (isTimingRestricted(e) || !(e.responseStart > 0)) return null;
+
+  const pos = (v) => (Number.isFinite(v) && v > 0 ? v : null);
+  const segs = [];
+  const push = (phase, start, end) => {
+    if (start != null && end != null && end > start) segs.push({ phase, start, end });
+  };
+
+  push('redirect', pos(e.redirectStart), pos(e.redirectEnd));
+  const fetchStart = pos(e.fetchStart) ?? e.startTime;
+  const firstNet = pos(e.domainLookupStart) ?? pos(e.connectStart) ?? pos(e.requestStart);
+  push('queue', Math.max(fetchStart, pos(e.redirectEnd) ?? fetchStart), firstNet);
+  push('dns', pos(e.domainLookupStart), pos(e.domainLookupEnd));
+  const tlsStart = pos(e.secureConnectionStart);
+  push('tcp', pos(e.connectStart), tlsStart ?? pos(e.connectEnd));
+  push('tls', tlsStart, pos(e.connectEnd));
+  // Time between connection setup and the request going out counts as stall too.
+  push('queue', pos(e.connectEnd) ?? pos(e.domainLookupEnd), pos(e.requestStart));
+  push('ttfb', pos(e.requestStart), pos(e.responseStart));
+  push('download', pos(e.responseStart), pos(e.responseEnd));
+  return segs;
+}
@@ -0,0 +1,189 @@
+// Chrome Trace Event Format (Performance panel "Save profile") → PerfScope session.
+// Trace timestamps are monotonic microseconds; entries are rebased onto the main
+// frame's navigationStart so they line up with what the recorder would have seen.
+
+import { SESSION_VERSION } from './schema.js';
+
+const LONGTASK_US = 50_000;
+
+// blink.user_timing also carries Navigation Timing milestones; these are not user marks.
+const NAV_MILESTONES = new Set([
+  'navigationStart', 'unloadEventStart', 'unloadEventEnd', 'redirectStart', 'redirectEnd', 'fetchStart',
+  'domainLookupStart', 'domainLookupEnd', 'connectStart', 'connectEnd', 'secureConnectionStart',
+  'requestStart', 'responseStart', 'responseEnd', 'domLoading', 'domInteractive',
+  'domContentLoadedEventStart', 'domContentLoadedEventEnd', 'domComplete', 'loadEventStart', 'loadEventEnd',
+]);
+
+const PAINTS = { firstPaint: 'first-paint', firstContentfulPaint: 'first-contentful-paint' };
+
+// Trace `resourceType` → Resource Timing `initiatorType`.
+const RESOURCE_TYPE_TO_INITIATOR = {
+  Script: 'script', Stylesheet: 'link', Image: 'img', Media: 'video', Font: 'css',
+  XHR: 'xmlhttprequest', Fetch: 'fetch', Ping: 'beacon', Document: 'iframe', Other: 'other',
+};
+
+export function traceEventsOf(obj) {
+  if (Array.isArray(obj)) return obj;
+  if (obj && Array.isArray(obj.traceEvents)) return obj.traceEvents;
+  return null;
+}
+
+export function isTrace(obj) {
+  const events = traceEventsOf(obj);
+  return !!events && events.some(ev => ev && typeof ev.ph === 'string' && Number.isFinite(ev.ts));
+}
+
+const threadKey = (ev) => `${ev.pid}:${ev.tid}`;
+
+export function sessionFromTrace(obj, { name } = {}) {
+  const events = traceEventsOf(obj);
+  if (!events) throw new Error('not a trace');
+
+  const mainThreads = new Set(events
+    .filter(ev => ev.ph === 'M' && ev.name === 'thread_name' && ev.args?.name === 'CrRendererMain')
+    .map(threadKey));
+
+  // Prefer the main frame's navigationStart for the time origin.
+  const navStarts = events
+    .filter(ev => ev.name === 'navigationStart' && String(ev.cat || '').includes('blink.user_timing'))
+    .sort((a, b) => a.ts - b.ts);
+  const navStart = navStarts.find(ev => ev.args?.data?.isLoadingMainFrame) || navStarts[0] || null;
+  // A loop, not Math.min(...): traces run to hundreds of thousands of events.
+  const originUs = navStart ? navStart.ts
+    : events.reduce((min, ev) => (Number.isFinite(ev.ts) && ev.ts > 0 && ev.ts < min ? ev.ts : min), Infinity);
+  const rel = (us) => (us - originUs) / 1000;
+  const relSec = (s) => s * 1000 - originUs / 1000;
+
+  // Only look at the navigating renderer when we can tell which it is.
+  const mainThread = navStart ? threadKey(navStart) : null;
+  const onMain = (ev) => (mainThread ? threadKey(ev) === mainThread : mainThreads.has(threadKey(ev)));
+
+  let n = 0;
+  const id = () => `t${++n}`;
+  const entries = [];
+  const milestones = {};
+
+  // --- Network ---
+  const requests = new Map();
+  const req = (rid) => {
+    if (!requests.has(rid)) requests.set(rid, { send: null, response: null, finish: null, received: 0 });
+    return requests.get(rid);
+  };
+  for (const ev of events) {
+    const d = ev.args?.data;
+    if (!d?.requestId) continue;
+    if (ev.name === 'ResourceSendRequest') req(d.requestId).send ??= ev;
+    else if (ev.name === 'ResourceReceiveResponse') req(d.requestId).response = ev;
+    else if (ev.name === 'ResourceReceivedData') req(d.requestId).received += d.encodedDataLength || 0;
+    else if (ev.name === 'ResourceFinish') req(d.requestId).finish = ev;
+  }
+
+  let navDoc = null;
+  for (const { send, response, finish, received } of requests.values()) {
+    if (!send) continue;
+    const s = send.args.data;
+    const r = response?.args?.data || {};
+    const f = finish?.args?.data || {};
+    const t = r.timing;
+
+    const startTime = rel(send.ts);
+    const e = {
+      id: id(),
+      entryType: 'resource',
+      name: s.url,
+      startTime,
+      duration: 0,
+      initiatorType: RESOURCE_TYPE_TO_INITIATOR[s.resourceType] || 'other',
+      nextHopProtocol: r.protocol || '',
+      responseStatus: r.statusCode,
+      transferSize: r.fromCache ? 0 : (f.encodedDataLength ?? received),
+      encodedBodySize: f.encodedBodyLength ?? f.encodedDataLength ?? received,
+      decodedBodySize: f.decodedBodyLength ?? 0,
+      renderBlockingStatus: s.renderBlocking ? (s.renderBlocking === 'blocking' ? 'blocking' : 'non-blocking') : undefined,
+      fetchStart: startTime,
+    };
+
+    if (t && Number.isFinite(t.requestTime)) {
+      // Phase offsets are ms relative to requestTime (seconds); -1 means "did not happen".
+      const base = relSec(t.requestTime);
+      const at = (v) => (Number.isFinite(v) && v >= 0 ? base + v : 0);
+      Object.assign(e, {
+        domainLookupStart: at(t.dnsStart),
+        domainLookupEnd: at(t.dnsEnd),
+        connectStart: at(t.connectStart),
+        secureConnectionStart: at(t.sslStart),
+        connectEnd: at(t.connectEnd),
+        requestStart: at(t.sendStart),
+        responseStart: at(t.receiveHeadersEnd),
+      });
+    }
+    e.responseEnd = f.finishTime > 0 ? relSec(f.finishTime) : finish ? rel(finish.ts) : (e.responseStart || startTime);
+    e.duration = Math.max(0, e.responseEnd - startTime);
+
+    if (s.resourceType === 'Document' && !navDoc && (!navStart || s.frame === navStart.args?.frame)) {
+      navDoc = e;
+      e.entryType = 'navigation';
+      e.initiatorType = 'navigation';
+      e.type = 'navigate';
+    }
+    entries.push(e);
+  }
+
+  // --- Milestones, paints and user timing (blink.user_timing) ---
+  const openMeasures = new Map();
+  for (const ev of events) {
+    const cat = String(ev.cat || '');
+    if (PAINTS[ev.name] && (!navStart || ev.args?.frame === navStart.args?.frame)) {
+      entries.push({ id: id(), entryType: 'paint', name: PAINTS[ev.name], startTime: rel(ev.ts), duration: 0 });
+      continue;
+    }
+    if (!cat.includes('blink.user_timing')) continue;
+    if (NAV_MILESTONES.has(ev.name)) {
+      if (!navStart || ev.args?.frame === navStart.args?.frame) milestones[ev.name] ??= rel(ev.ts);
+      continue;
+    }
+    if (ev.ph === 'R' || ev.ph === 'I' || ev.ph === 'i') {
+      entries.push({ id: id(), entryType: 'mark', name: ev.name, startTime: rel(ev.ts), duration: 0 });
+    } else if (ev.ph === 'b') {
+      openMeasures.set(`${ev.name}:${ev.id ?? ev.id2?.local ?? ''}`, ev);
+    } else if (ev.ph === 'e') {
+      const key = `${ev.name}:${ev.id ?? ev.id2?.local ?? ''}`;
+      const b = openMeasures.get(key);
+      if (!b) continue;
+      openMeasures.delete(key);
+      entries.push({ id: id(), entryType: 'measure', name: ev.name, startTime: rel(b.ts), duration: (ev.ts - b.ts) / 1000 });
+    } else if (ev.ph === 'X' && Number.isFinite(ev.dur)) {
+      entries.push({ id: id(), entryType: 'measure', name: ev.name, startTime: rel(ev.ts), duration: ev.dur / 1000 });
+    }
+  }
+
+  if (navDoc) {
+    for (const k of ['domInteractive', 'domContentLoadedEventEnd', 'loadEventEnd']) {
+      if (Number.isFinite(milestones[k])) navDoc[k] = milestones[k];
+    }
+    // Navigation entries start at the time origin, like the real NavigationTiming entry.
+    navDoc.startTime = 0;
+    navDoc.fetchStart = milestones.fetchStart ?? navDoc.fetchStart;
+    navDoc.duration = Math.max(navDoc.responseEnd, navDoc.loadEventEnd || 0);
+  }
+
+  // --- Long tasks: top-level RunTask slices over 50 ms on the renderer main thread ---
+  for (const ev of events) {
+    if (ev.ph !== 'X' || ev.name !== 'RunTask' || !(ev.dur > LONGTASK_US) || !onMain(ev)) continue;
+    entries.push({ id: id(), entryType: 'longtask', name: 'self', culprit: 'self', startTime: rel(ev.ts), duration: ev.dur / 1000 });
+  }
+
+  entries.sort((a, b) => a.startTime - b.startTime);
+
+  const meta = Array.isArray(obj) ? {} : (obj.metadata || {});
+  return {
+    v: SESSION_VERSION,
+    startedAt: Date.parse(meta.startTime) || Date.now(),
+    savedAt: Date.now(),
+    name: name || '',
+    tags: ['trace'],
+    notes: '',
+    // Anything before the origin belongs to the previous document.
+    entries: entries.filter(e => e.startTime >= 0),
+  };
+}
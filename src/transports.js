@@ -0,0 +1,82 @@
+// Receiving ends of the probe transports (see probe.js). Each listener hands raw
+// envelopes plus the sender's origin (when known) to `onMessage`; the probe hub verifies
+// them. Each returns a function that stops listening.
+
+import { PROBE_CHANNEL } from './probe.js';
+
+// postMessage from a tab the probe opened (or found) by name.
+export function listenWindow(onMessage) {
+  const handler = (ev) => onMessage(ev.data, ev.origin);
+  window.addEventListener('message', handler);
+  return () => window.removeEventListener('message', handler);
+}
+
+// Same-origin pages. BroadcastChannel can't cross origins, so the origin is ours.
+export function listenBroadcast(onMessage) {
+  if (typeof BroadcastChannel === 'undefined') return () => {};
+  const bc = new BroadcastChannel(PROBE_CHANNEL);
+  bc.onmessage = (ev) => onMessage(ev.data, location.origin);
+  return () => bc.close();
+}
+
+// Relay endpoint for a room, as the WebSocket URL PerfScope follows.
+export function relaySocketUrl(relayUrl, room) {
+  const u = new URL(relayUrl);
+  u.protocol = u.protocol === 'https:' ? 'wss:' : 'ws:';
+  u.pathname = `${u.pathname.replace(/\/$/, '')}/rooms/${room}`;
+  return u.href;
+}
+
+const RETRY_MS = [1000, 2000, 5000, 10000, 15000];
+
+// Follow a relay room over a WebSocket, reconnecting with backoff. The relay replays
+// recent messages on connect and stamps each with the Origin header it was posted with
+// (`from`, unsigned; absent for non-browser senders).
+// onStatus('connecting' | 'open' | 'closed', detail?) reports the connection.
+export function connectRelay(relayUrl, room, { onMessage, onStatus = () => {} }) {
+  let ws = null;
+  let attempt = 0;
+  let timer = null;
+  let stopped = false;
+
+  function open() {
+    let url;
+    try {
+      url = relaySocketUrl(relayUrl, room);
+    } catch {
+      onStatus('closed', `bad relay URL "${relayUrl}"`);
+      return;
+    }
+    onStatus('connecting');
+    ws = new WebSocket(url);
+    ws.onopen = () => {
+      attempt = 0;
+      onStatus('open');
+    };
+    ws.onmessage = (ev) => {
+      let env;
+      try {
+        env = JSON.parse(ev.data);
+      } catch {
+        return;
+      }
+      const { from, ...envelope } = env || {};
+      onMessage(envelope, from || '');
+    };
+    ws.onclose = () => {
+      ws = null;
+      if (stopped) return;
+      const wait = RETRY_MS[Math.min(attempt++, RETRY_MS.length - 1)];
+      onStatus('closed', `retrying in ${wait / 1000}s`);
+      timer = setTimeout(open, wait);
+    };
+  }
+
+  open();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    ws?.close();
+    onStatus('closed');
+  };
+}
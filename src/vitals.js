@@ -0,0 +1,91 @@
+// Core Web Vitals from recorded entries, following the web-vitals library algorithms.
+
+// [good, poor] boundaries: <= good is "good", > poor is "poor".
+export const THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+  fid: [100, 300],
+};
+
+export function rate(metric, value) {
+  const [good, poor] = THRESHOLDS[metric];
+  if (value <= good) return 'good';
+  if (value <= poor) return 'needs-improvement';
+  return 'poor';
+}
+
+// LCP: the latest largest-contentful-paint candidate (the browser stops emitting after input).
+export function computeLCP(entries) {
+  const lcps = entries.filter(e => e.entryType === 'largest-contentful-paint' && Number.isFinite(e.startTime));
+  if (!lcps.length) return null;
+  const entry = lcps.reduce((a, b) => (b.startTime >= a.startTime ? b : a));
+  return { value: entry.startTime, rating: rate('lcp', entry.startTime), entry };
+}
+
+// CLS: largest session window of layout shifts without recent input.
+// A window closes after a 1 s gap or once it spans 5 s.
+export function computeCLS(entries) {
+  const all = entries.filter(e => e.entryType === 'layout-shift');
+  if (!all.length) return null;
+  const shifts = all
+    .filter(e => !e.hadRecentInput && Number.isFinite(e.value))
+    .sort((a, b) => a.startTime - b.startTime);
+
+  let best = { value: 0, entries: [] };
+  let cur = { value: 0, entries: [] };
+  for (const e of shifts) {
+    const first = cur.entries[0];
+    const last = cur.entries[cur.entries.length - 1];
+    if (first && e.startTime - last.startTime < 1000 && e.startTime - first.startTime < 5000) {
+      cur.value += e.value;
+      cur.entries.push(e);
+    } else {
+      cur = { value: e.value, entries: [e] };
+    }
+    if (cur.value > best.value) best = { value: cur.value, entries: cur.entries.slice() };
+  }
+  return { value: best.value, rating: rate('cls', best.value), entries: best.entries };
+}
+
+// INP: per interaction the longest event duration; report the worst interaction,
+// skipping one outlier per 50 interactions (the p98 approximation web-vitals uses).
+export function computeINP(entries) {
+  const byInteraction = new Map();
+  for (const e of entries) {
+    if ((e.entryType !== 'event' && e.entryType !== 'first-input') || !(e.interactionId > 0)) continue;
+    const prev = byInteraction.get(e.interactionId);
+    if (!prev || e.duration > prev.duration) byInteraction.set(e.interactionId, e);
+  }
+  if (!byInteraction.size) return null;
+  const worst = [...byInteraction.values()].sort((a, b) => b.duration - a.duration);
+  const entry = worst[Math.min(worst.length - 1, Math.floor(byInteraction.size / 50))];
+  return { value: entry.duration, rating: rate('inp', entry.duration), entry, interactions: byInteraction.size };
+}
+
+// FID: input delay of the first input.
+export function computeFID(entries) {
+  const entry = entries.find(e => e.entryType === 'first-input' && Number.isFinite(e.processingStart));
+  if (!entry) return null;
+  const value = entry.processingStart - entry.startTime;
+  return { value, rating: rate('fid', value), entry };
+}
+
+// Input delay / processing / presentation delay split of an event-timing entry.
+export function interactionPhases(e) {
+  if (!Number.isFinite(e.processingStart) || !Number.isFinite(e.processingEnd)) return null;
+  return {
+    inputDelay: e.processingStart - e.startTime,
+    processing: e.processingEnd - e.processingStart,
+    presentationDelay: Math.max(0, e.startTime + e.duration - e.processingEnd),
+  };
+}
+
+export function computeVitals(entries) {
+  return {
+    lcp: computeLCP(entries),
+    cls: computeCLS(entries),
+    inp: computeINP(entries),
+    fid: computeFID(entries),
+  };
+}
@@ -1,6 +1,20 @@
 import { scaleLinear } from 'https://cdn.jsdelivr.net/npm/d3-scale@4/+esm';
 import { schemeTableau10 } from 'https://cdn.jsdelivr.net/npm/d3-scale-chromatic@3/+esm';
 
+import { phaseSegments, isTimingRestricted } from './timing.js';
+import { bucketSeries } from './timeseries.js';
+
+// Phase colors follow the usual devtools conventions (dns teal, connect orange, ttfb green, download blue).
+export const PHASE_COLORS = {
+  redirect: 'rgba(255,255,255,0.35)',
+  queue: 'rgba(169,180,231,0.35)',
+  dns: 'rgba(64,196,196,0.85)',
+  tcp: 'rgba(255,160,64,0.85)',
+  tls: 'rgba(190,110,255,0.85)',
+  ttfb: 'rgba(90,210,120,0.85)',
+  download: 'rgba(80,150,255,0.85)',
+};
+
 export function paletteForClusters(k) {
   const base = schemeTableau10;
   const colors = Array.from({ length: k }, (_, i) => base[i % base.length]);
@@ -8,122 +22,810 @@ export function paletteForClusters(k) {
   return { colors, labels };
 }
 
+// Entries DBSCAN left out of every cluster (cluster -1).
+export const NOISE_COLOR = 'rgba(160,170,190,0.22)';
+
+// Stable color per name (vendors, domains), so a group keeps its color across sessions.
+export function categoryColor(name) {
+  let h = 0;
+  for (const ch of String(name)) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return schemeTableau10[h % schemeTableau10.length];
+}
+
+// Stable color per Server-Timing metric name, shared by bars and the summary table.
+export const serverTimingColor = categoryColor;
+
 // Draw a waterfall of entries on canvas.
 // Returns a "pick" object used for click picking.
-export function drawWaterfall(canvas, entries, { clusters, clusterColors } = {}) {
-  const dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
-  const rect = canvas.getBoundingClientRect();
-  const W = Math.floor(rect.width * dpr);
-  const H = Math.floor(rect.height * dpr);
-  canvas.width = W;
-  canvas.height = H;
+export function drawWaterfall(canvas, entries, opts = {}) {
+  return drawWaterfallLanes(canvas, [{ entries }], opts);
+}
 
+// Draw several entry sets as stacked lanes sharing one time axis
+// (e.g. a before/after comparison). `domain` pins the axis; otherwise it spans all lanes.
+// `colorOf(e)` may return a color to override cluster/type coloring; `colorMode: 'phase'`
+// instead splits resource/navigation bars into their timing phases.
+// `milestones` ([{ label, time, color }]) become labeled full-height markers.
+// `annotations` ([{ label, t0, t1 }] ranges or [{ label, entryId, time }] pins) become
+// shaded bands and pins on their entry's bar (or on the top edge when the bar is off screen).
+// `view` ({ t0, t1, scrollRow }, see bindWaterfallNav) zooms the time axis and scrolls rows;
+// only rows inside the canvas are drawn, and a minimap shows the whole session.
+// For exports: `size` ({ width, height? } in CSS px) replaces the canvas's on-screen size —
+// without a height it grows to fit every row (up to EXPORT_MAX_ROWS per lane; the legend and
+// `rowsLeftOut` say how many were cut); `scale`
+// replaces devicePixelRatio; `background` fills the image; `legend` ([{ label, color?, outline? }])
+// is drawn under the axis. `canvas` may be an SVG canvas (see svg.js).
+export function drawWaterfallLanes(canvas, lanes, { clusters, clusterColors, colorOf, colorMode = 'cluster', milestones = [], annotations = [], domain, view, minimap = true, size, scale, background, legend = [] } = {}) {
+  const dpr = scale || Math.max(1, Math.min(2, window.devicePixelRatio || 1));
   const ctx = canvas.getContext('2d');
 
   const pad = 12 * dpr;
   const rowH = 14 * dpr;
   const gap = 2 * dpr;
   const axisH = 18 * dpr;
+  const laneLabelH = 16 * dpr;
+  const minimapH = minimap ? 28 * dpr : 0;
 
-  const sorted = entries
-    .slice()
-    .sort((a, b) => a.startTime - b.startTime);
-
-  const minT = sorted.length ? Math.min(...sorted.map(e => e.startTime)) : 0;
-  const maxT = sorted.length ? Math.max(...sorted.map(e => e.startTime + e.duration)) : 1;
-
-  const x = scaleLinear().domain([minT, maxT]).range([pad, W - pad]);
+  const rect = size || canvas.getBoundingClientRect();
+  const W = Math.floor(rect.width * dpr);
+  const grow = size && size.height == null;
+  const rowsLeftOut = grow ? lanes.reduce((n, l) => n + Math.max(0, l.entries.length - EXPORT_MAX_ROWS), 0) : 0;
+  if (rowsLeftOut) legend = [...legend, { label: `first ${EXPORT_MAX_ROWS} rows per lane; ${rowsLeftOut} more not drawn` }];
+  const legendRows = layoutLegend(ctx, legend, { left: pad, right: W - pad, dpr });
+  const legendH = legendRows.length ? (legendRows.length * 16 + 6) * dpr : 0;
+  let H = Math.floor(rect.height * dpr);
+  if (grow) {
+    const rows = Math.min(EXPORT_MAX_ROWS, Math.max(1, ...lanes.map(l => l.entries.length)));
+    const laneH = rows * (rowH + gap) + (lanes.some(l => l.label) ? laneLabelH : 0);
+    H = Math.ceil(pad + (minimapH ? minimapH + 6 * dpr : 0) + lanes.length * laneH + axisH + legendH + pad);
+  }
+  canvas.width = W;
+  canvas.height = H;
 
-  // Reserve space for axis + as many rows as fit.
-  const maxRows = Math.max(1, Math.floor((H - pad - axisH) / (rowH + gap)));
+  const all = lanes.flatMap(l => l.entries);
+  const minT = domain ? domain[0] : (all.length ? Math.min(...all.map(e => e.startTime)) : 0);
+  const maxT = domain ? domain[1] : (all.length ? Math.max(...all.map(e => e.startTime + e.duration)) : 1);
+  const [t0, t1] = visibleRange(view, [minT, maxT]);
 
-  // Heuristic ordering: group by type, then by start time.
-  const orderKey = (e) => {
-    const pri = ({ navigation: 0, paint: 1, longtask: 2, resource: 3, mark: 4, measure: 5 })[e.entryType] ?? 9;
-    return pri * 1e9 + e.startTime;
-  };
-
-  const rows = sorted
-    .slice()
-    .sort((a, b) => orderKey(a) - orderKey(b))
-    .slice(0, maxRows);
+  const x = scaleLinear().domain([t0, t1]).range([pad, W - pad]);
 
   // Background
   ctx.clearRect(0, 0, W, H);
-  ctx.fillStyle = 'rgba(0,0,0,0)';
+  ctx.fillStyle = background || 'rgba(0,0,0,0)';
   ctx.fillRect(0, 0, W, H);
 
+  const plotTop = pad + (minimapH ? minimapH + 6 * dpr : 0);
+  const plotBottom = H - pad - axisH - legendH;
+  const mm = minimapH ? { left: pad, right: W - pad, top: pad, bottom: pad + minimapH } : null;
+  if (mm) drawMinimap(ctx, lanes, { mm, minT, maxT, t0, t1, dpr, milestones, annotations });
+
   // Vertical gridlines
-  const ticks = 8;
+  const ticks = niceTicks(t0, t1, Math.max(2, Math.round((W - 2 * pad) / (90 * dpr))), minT);
   ctx.strokeStyle = 'rgba(255,255,255,0.06)';
   ctx.lineWidth = 1;
-  for (let i = 0; i <= ticks; i++) {
-    const t = minT + (i / ticks) * (maxT - minT);
+  for (const t of ticks) {
     const xx = x(t);
     ctx.beginPath();
-    ctx.moveTo(xx, pad);
-    ctx.lineTo(xx, H - pad - axisH);
+    ctx.moveTo(xx, plotTop);
+    ctx.lineTo(xx, plotBottom);
     ctx.stroke();
   }
 
-  // Bars
+  const isNoise = (e) => clusters?.get(e.id) === -1;
+  const colorFor = (e) => {
+    const override = colorOf?.(e);
+    if (override) return override;
+    if (clusters && clusters.has(e.id)) {
+      const c = clusters.get(e.id);
+      if (c === -1) return NOISE_COLOR;
+      return clusterColors?.[c] || 'rgba(124,212,255,0.42)';
+    }
+    // per-type fallback
+    return {
+      navigation: 'rgba(125,255,178,0.40)',
+      paint: 'rgba(124,212,255,0.50)',
+      longtask: 'rgba(255,204,102,0.55)',
+      'long-animation-frame': 'rgba(255,204,102,0.30)',
+      resource: 'rgba(180,160,255,0.35)',
+      mark: 'rgba(255,255,255,0.20)',
+      measure: 'rgba(255,255,255,0.25)',
+      'largest-contentful-paint': 'rgba(124,212,255,0.70)',
+      'layout-shift': 'rgba(255,107,139,0.55)',
+      event: 'rgba(255,170,120,0.45)',
+      'first-input': 'rgba(255,170,120,0.60)',
+    }[e.entryType] || 'rgba(124,212,255,0.42)';
+  };
+
+  // Split the plot area evenly between lanes.
+  const laneH = (plotBottom - plotTop) / Math.max(1, lanes.length);
+
+  const pickRects = [];
+  let maxScroll = 0;
+  let rowsFit = 0;
+  lanes.forEach((lane, li) => {
+    let top = plotTop + li * laneH;
+    if (lane.label) {
+      if (li > 0) {
+        ctx.strokeStyle = 'rgba(255,255,255,0.18)';
+        ctx.beginPath();
+        ctx.moveTo(pad, top);
+        ctx.lineTo(W - pad, top);
+        ctx.stroke();
+      }
+      ctx.fillStyle = 'rgba(169,180,231,0.9)';
+      ctx.font = `${11 * dpr}px ui-sans-serif, system-ui, sans-serif`;
+      ctx.fillText(lane.label, pad, top + 11 * dpr);
+      top += laneLabelH;
+    }
+    const avail = plotTop + (li + 1) * laneH - top;
+    const res = drawRows(ctx, lane.entries, { x, top, avail, W, pad, rowH, gap, dpr, colorFor, colorMode, isNoise, scrollRow: view?.scrollRow || 0 });
+    for (const r of res.pickRects) pickRects.push({ ...r, lane: li });
+    maxScroll = Math.max(maxScroll, res.maxScroll);
+    rowsFit = Math.max(rowsFit, res.rowsFit);
+  });
+
+  drawMilestones(ctx, milestones, { x, left: pad, right: W - pad, top: plotTop, bottom: plotBottom, dpr });
+  drawAnnotations(ctx, annotations, { x, left: pad, right: W - pad, top: plotTop, bottom: plotBottom, dpr, pickRects });
+
+  // Axis
+  const axisY = plotBottom + 10 * dpr;
+  const step = ticks.length > 1 ? ticks[1] - ticks[0] : (t1 - t0);
+  ctx.fillStyle = 'rgba(255,255,255,0.55)';
+  ctx.font = `${10 * dpr}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace`;
+  for (const t of ticks) {
+    const xx = x(t);
+    ctx.fillText(fmtTick(t - minT, step), xx - 18 * dpr, axisY);
+  }
+  drawLegend(ctx, legendRows, { top: plotBottom + axisH + 6 * dpr, dpr });
+
+  return {
+    dpr,
+    pickRects,
+    full: [minT, maxT],
+    visible: [t0, t1],
+    plot: { left: pad, right: W - pad, top: plotTop, bottom: plotBottom },
+    minimap: mm,
+    rowPx: rowH + gap,
+    rowsFit,
+    maxScroll,
+    rowsLeftOut,
+  };
+}
+
+function drawRows(ctx, entries, { x, top, avail, W, pad, rowH, gap, dpr, colorFor, colorMode, isNoise, scrollRow }) {
+  // Rows are virtualized: only the window that fits the lane is drawn.
+  const rowsFit = Math.max(1, Math.floor(avail / (rowH + gap)));
+
+  // Heuristic ordering: group by type, then by start time.
+  const orderKey = (e) => {
+    const pri = ({ navigation: 0, paint: 1, 'largest-contentful-paint': 1, 'layout-shift': 1, longtask: 2, 'long-animation-frame': 2, 'first-input': 2, event: 2, resource: 3, mark: 4, measure: 5 })[e.entryType] ?? 9;
+    return pri * 1e9 + e.startTime;
+  };
+
+  const ordered = entries
+    .slice()
+    .sort((a, b) => orderKey(a) - orderKey(b));
+  const maxScroll = Math.max(0, ordered.length - rowsFit);
+  const first = Math.min(Math.max(0, scrollRow), maxScroll);
+  const rows = ordered.slice(first, first + rowsFit);
+
+  // Bars are clipped to the plot so zoomed-in bars don't spill over the margins.
+  const left = pad;
+  const right = W - pad;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(left, top, right - left, avail);
+  ctx.clip();
+
   const pickRects = [];
   for (let i = 0; i < rows.length; i++) {
     const e = rows[i];
-    const y = pad + i * (rowH + gap);
+    const y = top + i * (rowH + gap);
     const x0 = x(e.startTime);
     const x1 = x(e.startTime + Math.max(0.5, e.duration));
     const w = Math.max(1, x1 - x0);
 
-    let color = 'rgba(124,212,255,0.42)';
-    if (clusters && clusters.has(e.id)) {
-      const c = clusters.get(e.id);
-      color = clusterColors?.[c] || color;
+    const segs = colorMode === 'phase' ? phaseSegments(e) : null;
+    if (segs) {
+      ctx.fillStyle = 'rgba(255,255,255,0.06)';
+      roundRect(ctx, x0, y, w, rowH, 4 * dpr);
+      ctx.fill();
+      for (const seg of segs) {
+        ctx.fillStyle = PHASE_COLORS[seg.phase];
+        ctx.fillRect(x(seg.start), y + 2 * dpr, Math.max(1, x(seg.end) - x(seg.start)), rowH - 4 * dpr);
+      }
     } else {
-      // per-type fallback
-      const typeColor = {
-        navigation: 'rgba(125,255,178,0.40)',
-        paint: 'rgba(124,212,255,0.50)',
-        longtask: 'rgba(255,204,102,0.55)',
-        resource: 'rgba(180,160,255,0.35)',
-        mark: 'rgba(255,255,255,0.20)',
-        measure: 'rgba(255,255,255,0.25)',
-      }[e.entryType];
-      if (typeColor) color = typeColor;
+      ctx.fillStyle = colorMode === 'phase' && isTimingRestricted(e) ? 'rgba(255,255,255,0.10)' : colorFor(e);
+      roundRect(ctx, x0, y, w, rowH, 4 * dpr);
+      ctx.fill();
     }
+    if (isTimingRestricted(e)) drawRestricted(ctx, x0, y, w, rowH, dpr);
 
-    ctx.fillStyle = color;
-    roundRect(ctx, x0, y, w, rowH, 4 * dpr);
-    ctx.fill();
+    if (e.entryType === 'long-animation-frame') drawFrameScripts(ctx, e, { x, y, rowH, dpr });
+    if (e.serverTiming?.length) drawServerTiming(ctx, e, { x, y, rowH });
 
-    // Labels (mono-ish)
+    // Labels (mono-ish); keep them on screen when the bar starts left of the view.
     ctx.fillStyle = 'rgba(233,238,255,0.85)';
     ctx.font = `${10 * dpr}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace`;
-    const label = `${e.entryType}: ${shorten(nameTail(e.name), 44)}`;
-    ctx.fillText(label, Math.min(x0 + 4 * dpr, W - pad - 120 * dpr), y + rowH - 3 * dpr);
+    const label = `${isTimingRestricted(e) ? '⊘ ' : ''}${isNoise(e) ? '◌ ' : ''}${e.entryType}: ${shorten(nameTail(e.name), 44)}`;
+    ctx.fillText(label, Math.max(left, Math.min(x0 + 4 * dpr, right - 120 * dpr)), y + rowH - 3 * dpr);
 
-    pickRects.push({ id: e.id, x: x0, y, w, h: rowH });
+    // Pick only the on-screen part of the bar.
+    const px0 = Math.max(left, x0);
+    const px1 = Math.min(right, x0 + w);
+    if (px1 >= px0) pickRects.push({ id: e.id, entry: e, x: px0, y, w: Math.max(1, px1 - px0), h: rowH });
   }
+  ctx.restore();
 
-  // Axis
-  const axisY = H - pad - axisH + 10 * dpr;
-  ctx.fillStyle = 'rgba(255,255,255,0.55)';
-  ctx.font = `${10 * dpr}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace`;
-  for (let i = 0; i <= ticks; i++) {
-    const t = minT + (i / ticks) * (maxT - minT);
-    const xx = x(t);
-    ctx.fillText(fmtMs(t - minT), xx - 18 * dpr, axisY);
+  // Scroll indicator
+  if (maxScroll > 0) {
+    const trackH = avail;
+    const thumbH = Math.max(12 * dpr, trackH * rowsFit / ordered.length);
+    const thumbY = top + (trackH - thumbH) * (first / maxScroll);
+    ctx.fillStyle = 'rgba(255,255,255,0.06)';
+    ctx.fillRect(right + 3 * dpr, top, 4 * dpr, trackH);
+    ctx.fillStyle = 'rgba(124,212,255,0.45)';
+    ctx.fillRect(right + 3 * dpr, thumbY, 4 * dpr, thumbH);
+  }
+
+  return { pickRects, maxScroll, rowsFit };
+}
+
+export const EXPORT_MAX_ROWS = 600;
+
+// Legend items flowed into rows of { item, x } that fit between `left` and `right`.
+function layoutLegend(ctx, items, { left, right, dpr }) {
+  if (!items.length) return [];
+  ctx.font = `${11 * dpr}px ui-sans-serif, system-ui, sans-serif`;
+  const rows = [[]];
+  let x = left;
+  for (const item of items) {
+    const w = (item.color || item.outline ? 14 * dpr : 0) + ctx.measureText(item.label).width + 14 * dpr;
+    if (x + w > right && rows[rows.length - 1].length) {
+      rows.push([]);
+      x = left;
+    }
+    rows[rows.length - 1].push({ item, x });
+    x += w;
+  }
+  return rows;
+}
+
+function drawLegend(ctx, rows, { top, dpr }) {
+  ctx.font = `${11 * dpr}px ui-sans-serif, system-ui, sans-serif`;
+  rows.forEach((row, i) => {
+    const y = top + i * 16 * dpr;
+    for (const { item, x } of row) {
+      if (item.color) {
+        ctx.fillStyle = item.color;
+        ctx.fillRect(x, y + 2 * dpr, 10 * dpr, 10 * dpr);
+      }
+      if (item.outline) {
+        ctx.strokeStyle = item.outline;
+        ctx.lineWidth = dpr;
+        ctx.setLineDash([3 * dpr, 2 * dpr]);
+        ctx.strokeRect(x, y + 2 * dpr, 10 * dpr, 10 * dpr);
+        ctx.setLineDash([]);
+      }
+      ctx.fillStyle = 'rgba(169,180,231,0.95)';
+      ctx.fillText(item.label, x + (item.color || item.outline ? 14 * dpr : 0), y + 11 * dpr);
+    }
+  });
+}
+
+// Overview of the whole session: one tick per entry, with the visible window brushed.
+function drawMinimap(ctx, lanes, { mm, minT, maxT, t0, t1, dpr, milestones, annotations }) {
+  const span = Math.max(1e-9, maxT - minT);
+  const mx = (t) => mm.left + (t - minT) / span * (mm.right - mm.left);
+  const all = lanes.flatMap(l => l.entries).slice().sort((a, b) => a.startTime - b.startTime);
+  const h = mm.bottom - mm.top;
+
+  ctx.fillStyle = 'rgba(255,255,255,0.03)';
+  ctx.fillRect(mm.left, mm.top, mm.right - mm.left, h);
+  ctx.fillStyle = 'rgba(180,160,255,0.55)';
+  all.forEach((e, i) => {
+    const y = mm.top + 2 * dpr + (all.length > 1 ? i / (all.length - 1) : 0.5) * (h - 4 * dpr);
+    ctx.fillRect(mx(e.startTime), y, Math.max(1, mx(e.startTime + e.duration) - mx(e.startTime)), Math.max(1, dpr));
+  });
+
+  for (const m of milestones) {
+    if (m.time < minT || m.time > maxT) continue;
+    ctx.fillStyle = m.color;
+    ctx.fillRect(mx(m.time), mm.top, Math.max(1, dpr), h);
+  }
+
+  for (const a of annotations) {
+    const a0 = Math.max(minT, a.t0 ?? a.time);
+    const a1 = Math.min(maxT, a.t1 ?? a.time);
+    if (a1 < a0) continue;
+    ctx.fillStyle = a.t0 != null ? ANNOTATION_FILL : ANNOTATION_COLOR;
+    ctx.fillRect(mx(a0), mm.top, Math.max(2 * dpr, mx(a1) - mx(a0)), a.t0 != null ? h : 4 * dpr);
+  }
+
+  // Dim everything outside the viewport.
+  ctx.fillStyle = 'rgba(0,0,0,0.45)';
+  ctx.fillRect(mm.left, mm.top, mx(t0) - mm.left, h);
+  ctx.fillRect(mx(t1), mm.top, mm.right - mx(t1), h);
+  ctx.strokeStyle = 'rgba(124,212,255,0.8)';
+  ctx.lineWidth = dpr;
+  ctx.strokeRect(mx(t0), mm.top + 0.5, Math.max(2, mx(t1) - mx(t0)), h - 1);
+}
+
+// Full-height marker lines with labels along the top edge; labels that would
+// collide with the previous one drop to the next line.
+function drawMilestones(ctx, milestones, { x, left, right, top, bottom, dpr }) {
+  if (!milestones.length) return;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(left, top, right - left, bottom - top);
+  ctx.clip();
+  ctx.font = `${9 * dpr}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace`;
+  const lineH = 11 * dpr;
+  const lastEnd = [];
+  for (const m of milestones) {
+    const xx = Math.round(x(m.time)) + 0.5;
+    if (xx < left || xx > right) continue;
+    ctx.strokeStyle = m.color;
+    ctx.lineWidth = dpr;
+    ctx.setLineDash([4 * dpr, 3 * dpr]);
+    ctx.beginPath();
+    ctx.moveTo(xx, top);
+    ctx.lineTo(xx, bottom);
+    ctx.stroke();
+
+    const text = shorten(m.label, 24);
+    const tw = ctx.measureText(text).width + 6 * dpr;
+    let line = 0;
+    while (lastEnd[line] != null && lastEnd[line] > xx) line++;
+    lastEnd[line] = xx + tw;
+    const ty = top + line * lineH;
+    ctx.fillStyle = 'rgba(10,14,28,0.85)';
+    ctx.fillRect(xx + 1, ty, tw, lineH);
+    ctx.fillStyle = m.color;
+    ctx.fillText(text, xx + 4 * dpr, ty + 8.5 * dpr);
+  }
+  ctx.restore();
+}
+
+const ANNOTATION_COLOR = 'rgba(255,214,102,0.95)';
+const ANNOTATION_FILL = 'rgba(255,214,102,0.10)';
+
+// Ranges as shaded bands labeled along the bottom edge; entry notes as a pin at the start
+// of the entry's bar with the text after its end. Notes on entries that aren't drawn (scrolled
+// away, or in another lane) pin to the top edge at the entry's start time instead.
+function drawAnnotations(ctx, annotations, { x, left, right, top, bottom, dpr, pickRects }) {
+  if (!annotations.length) return;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(left, top, right - left, bottom - top);
+  ctx.clip();
+  ctx.font = `${10 * dpr}px ui-sans-serif, system-ui, sans-serif`;
+  const lineH = 13 * dpr;
+  const label = (text, lx, ly) => {
+    const tw = ctx.measureText(text).width + 8 * dpr;
+    const tx = Math.max(left, Math.min(lx, right - tw));
+    ctx.fillStyle = 'rgba(10,14,28,0.88)';
+    ctx.fillRect(tx, ly - 10 * dpr, tw, lineH);
+    ctx.fillStyle = ANNOTATION_COLOR;
+    ctx.fillText(text, tx + 4 * dpr, ly);
+  };
+
+  const lastEnd = [];
+  for (const a of annotations.filter(a => a.t0 != null)) {
+    const x0 = x(a.t0);
+    const x1 = Math.max(x0 + dpr, x(a.t1));
+    if (x1 < left || x0 > right) continue;
+    ctx.fillStyle = ANNOTATION_FILL;
+    ctx.fillRect(x0, top, x1 - x0, bottom - top);
+    ctx.strokeStyle = ANNOTATION_COLOR;
+    ctx.lineWidth = dpr;
+    for (const xx of [x0, x1]) {
+      ctx.beginPath();
+      ctx.moveTo(Math.round(xx) + 0.5, top);
+      ctx.lineTo(Math.round(xx) + 0.5, bottom);
+      ctx.stroke();
+    }
+    const text = `✎ ${shorten(a.label, 40)}`;
+    const lx = Math.max(left, x0) + 3 * dpr;
+    let line = 0;
+    while (lastEnd[line] != null && lastEnd[line] > lx) line++;
+    lastEnd[line] = lx + ctx.measureText(text).width + 8 * dpr;
+    label(text, lx, bottom - 4 * dpr - line * lineH);
+  }
+
+  for (const a of annotations.filter(a => a.t0 == null)) {
+    const text = `📌 ${shorten(a.label, 40)}`;
+    const r = pickRects.find(p => p.id === a.entryId);
+    if (r) {
+      const cy = r.y + r.h / 2;
+      ctx.fillStyle = ANNOTATION_COLOR;
+      ctx.beginPath();
+      ctx.arc(r.x + 3 * dpr, cy, 3 * dpr, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = ANNOTATION_COLOR;
+      ctx.lineWidth = dpr;
+      ctx.strokeRect(r.x, r.y, r.w, r.h);
+      label(text, r.x + r.w + 6 * dpr, cy + 4 * dpr);
+    } else {
+      const xx = x(a.time);
+      if (xx < left || xx > right) continue;
+      ctx.fillStyle = ANNOTATION_COLOR;
+      ctx.beginPath();
+      ctx.moveTo(xx - 4 * dpr, top);
+      ctx.lineTo(xx + 4 * dpr, top);
+      ctx.lineTo(xx, top + 6 * dpr);
+      ctx.closePath();
+      ctx.fill();
+      label(text, xx + 6 * dpr, top + 16 * dpr);
+    }
+  }
+  ctx.restore();
+}
+
+// No Timing-Allow-Origin: dashed outline so zeroed phases don't read as "fast".
+function drawRestricted(ctx, x0, y, w, h, dpr) {
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255,204,102,0.75)';
+  ctx.lineWidth = dpr;
+  ctx.setLineDash([3 * dpr, 2 * dpr]);
+  roundRect(ctx, x0 + 0.5, y + 0.5, Math.max(1, w - 1), h - 1, 4 * dpr);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// LoAF: script sub-bars in the lower half of the frame's row, with the forced
+// style/layout share darkened; a tick marks where rendering started.
+function drawFrameScripts(ctx, e, { x, y, rowH, dpr }) {
+  const h = rowH * 0.45;
+  const sy = y + rowH - h;
+  for (const s of e.scripts || []) {
+    if (!Number.isFinite(s.startTime) || !(s.duration > 0)) continue;
+    const sx0 = x(s.startTime);
+    const sw = Math.max(1, x(s.startTime + s.duration) - sx0);
+    ctx.fillStyle = 'rgba(255,150,80,0.85)';
+    ctx.fillRect(sx0, sy, sw, h);
+    if (s.forcedStyleAndLayoutDuration > 0) {
+      const fw = Math.max(1, sw * Math.min(1, s.forcedStyleAndLayoutDuration / s.duration));
+      ctx.fillStyle = 'rgba(170,60,200,0.85)';
+      ctx.fillRect(sx0 + sw - fw, sy, fw, h);
+    }
+  }
+  if (e.renderStart > 0) {
+    ctx.fillStyle = 'rgba(233,238,255,0.7)';
+    ctx.fillRect(x(e.renderStart), y, Math.max(1, dpr), rowH);
   }
+}
 
-  return { dpr, pickRects };
+// Server-Timing: metrics with a duration as a strip along the top of the bar, laid
+// end to end from requestStart (server work happens while waiting for the first byte).
+// Metrics often nest (e.g. "total" includes "db"), so the strip is clamped to the TTFB window.
+function drawServerTiming(ctx, e, { x, y, rowH }) {
+  const from = e.requestStart > 0 ? e.requestStart : e.startTime;
+  const to = e.responseStart > from ? e.responseStart : e.startTime + e.duration;
+  const h = Math.max(2, rowH * 0.25);
+  let t = from;
+  for (const st of e.serverTiming) {
+    if (!(st.duration > 0) || t >= to) continue;
+    const end = Math.min(to, t + st.duration);
+    ctx.fillStyle = serverTimingColor(st.name);
+    ctx.fillRect(x(t), y, Math.max(1, x(end) - x(t)), h);
+    t = end;
+  }
+}
+
+// --- Activity charts ---
+
+const SERIES_CHARTS = [
+  { key: 'inflight', label: 'in-flight requests', color: 'rgba(180,160,255,0.70)' },
+  { key: 'bytes', label: 'bytes received', color: 'rgba(80,150,255,0.75)' },
+  { key: 'busy', label: 'main thread busy', color: 'rgba(255,204,102,0.45)', overlay: 'blocked', overlayColor: 'rgba(255,107,139,0.80)' },
+];
+
+// Stacked charts of bucketSeries(entries) under the waterfall. Pass the waterfall pick's
+// `full`/`visible` ranges so both canvases share one time axis; buckets cover only the
+// visible range, so zooming in refines them. `selected` (an entry) is drawn as a band
+// across the charts, marks and measures as annotations. Returns a pick object that
+// bindWaterfallNav accepts, plus the drawn `series` and chart rows for hover lookups.
+export function drawTimeSeries(canvas, entries, { full, visible, selected } = {}) {
+  const dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
+  const rect = canvas.getBoundingClientRect();
+  const W = Math.floor(rect.width * dpr);
+  const H = Math.floor(rect.height * dpr);
+  canvas.width = W;
+  canvas.height = H;
+  const ctx = canvas.getContext('2d');
+
+  const pad = 12 * dpr;
+  const annotH = 14 * dpr;
+  const chartGap = 6 * dpr;
+  const [minT, maxT] = full || [0, 1];
+  const [t0, t1] = visible || [minT, maxT];
+  const left = pad;
+  const right = W - pad;
+  const x = scaleLinear().domain([t0, t1]).range([left, right]);
+
+  const series = bucketSeries(entries, { t0, t1, buckets: Math.min(400, Math.max(10, Math.floor((right - left) / (4 * dpr)))) });
+  const plotTop = pad + annotH;
+  const plotBottom = H - pad;
+  const chartH = (plotBottom - plotTop - chartGap * (SERIES_CHARTS.length - 1)) / SERIES_CHARTS.length;
+
+  ctx.clearRect(0, 0, W, H);
+
+  // Same gridlines as the waterfall above.
+  const ticks = niceTicks(t0, t1, Math.max(2, Math.round((W - 2 * pad) / (90 * dpr))), minT);
+  ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+  ctx.lineWidth = 1;
+  for (const t of ticks) {
+    ctx.beginPath();
+    ctx.moveTo(x(t), plotTop);
+    ctx.lineTo(x(t), plotBottom);
+    ctx.stroke();
+  }
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(left, 0, right - left, H);
+  ctx.clip();
+
+  // Measures as faint bands, marks as dashed lines, labeled along the top strip.
+  ctx.font = `${9 * dpr}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace`;
+  let labelEnd = -Infinity;
+  for (const a of series.annotations.slice().sort((p, q) => p.start - q.start)) {
+    const xa = x(a.start);
+    if (a.end > a.start) {
+      ctx.fillStyle = 'rgba(255,255,255,0.05)';
+      ctx.fillRect(xa, plotTop, Math.max(1, x(a.end) - xa), plotBottom - plotTop);
+    } else {
+      ctx.strokeStyle = 'rgba(233,238,255,0.45)';
+      ctx.lineWidth = dpr;
+      ctx.setLineDash([3 * dpr, 3 * dpr]);
+      ctx.beginPath();
+      ctx.moveTo(Math.round(xa) + 0.5, plotTop);
+      ctx.lineTo(Math.round(xa) + 0.5, plotBottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    if (xa > labelEnd) {
+      const text = shorten(a.label, 20);
+      ctx.fillStyle = 'rgba(233,238,255,0.70)';
+      ctx.fillText(text, Math.max(left, xa) + 2 * dpr, pad + 9 * dpr);
+      labelEnd = Math.max(left, xa) + ctx.measureText(text).width + 8 * dpr;
+    }
+  }
+
+  const charts = [];
+  SERIES_CHARTS.forEach((c, ci) => {
+    const top = plotTop + ci * (chartH + chartGap);
+    const bottom = top + chartH;
+    const values = series[c.key];
+    // Busyness is a share of each bucket; the other charts scale to their visible peak.
+    const peak = Math.max(...values);
+    const max = c.key === 'busy' ? series.step : peak || 1;
+    const bw = Math.max(1, x(t0 + series.step) - x(t0));
+
+    ctx.fillStyle = 'rgba(255,255,255,0.03)';
+    ctx.fillRect(left, top, right - left, chartH);
+    const bar = (arr, color) => {
+      ctx.fillStyle = color;
+      arr.forEach((v, i) => {
+        if (!(v > 0)) return;
+        const h = Math.max(dpr, Math.min(1, v / max) * (chartH - 2 * dpr));
+        ctx.fillRect(x(t0 + i * series.step), bottom - h, bw, h);
+      });
+    };
+    bar(values, c.color);
+    if (c.overlay) bar(series[c.overlay], c.overlayColor);
+
+    ctx.fillStyle = 'rgba(169,180,231,0.9)';
+    ctx.font = `${10 * dpr}px ui-sans-serif, system-ui, sans-serif`;
+    const scale = c.key === 'inflight' ? `peak ${+peak.toFixed(1)}`
+      : c.key === 'bytes' ? `peak ${fmtSize(peak)} / ${fmtTick(series.step, series.step)}`
+      : `peak ${Math.round(100 * peak / series.step)}% • red: blocking (> 50ms)`;
+    ctx.fillText(`${c.label} · ${scale}`, left + 4 * dpr, top + 11 * dpr);
+    charts.push({ key: c.key, label: c.label, top, bottom });
+  });
+
+  if (selected && Number.isFinite(selected.startTime)) {
+    const xs = x(selected.startTime);
+    const w = Math.max(2 * dpr, x(selected.startTime + (selected.duration || 0)) - xs);
+    ctx.fillStyle = 'rgba(124,212,255,0.12)';
+    ctx.fillRect(xs, plotTop, w, plotBottom - plotTop);
+    ctx.strokeStyle = 'rgba(124,212,255,0.85)';
+    ctx.lineWidth = dpr;
+    ctx.strokeRect(xs + 0.5, plotTop + 0.5, w - 1, plotBottom - plotTop - 1);
+  }
+  ctx.restore();
+
+  return {
+    dpr,
+    pickRects: [],
+    full: [minT, maxT],
+    visible: [t0, t1],
+    plot: { left, right, top: plotTop, bottom: plotBottom },
+    minimap: null,
+    rowPx: chartH,
+    rowsFit: 0,
+    maxScroll: 0,
+    series,
+    charts,
+  };
+}
+
+// --- Zoom / pan / scroll ---
+// A view is { t0, t1, scrollRow }; t0/t1 of null means "fit the whole session".
+
+const MIN_SPAN_MS = 0.05;
+
+export function createView() {
+  return { t0: null, t1: null, scrollRow: 0 };
+}
+
+function visibleRange(view, [minT, maxT]) {
+  if (view?.t0 == null || view?.t1 == null) return [minT, maxT];
+  return [view.t0, view.t1];
+}
+
+// Keep [t0, t1] inside the session and at least MIN_SPAN_MS wide.
+function setRange(view, full, t0, t1) {
+  const [minT, maxT] = full;
+  const fullSpan = maxT - minT;
+  let span = Math.min(fullSpan, Math.max(MIN_SPAN_MS, t1 - t0));
+  if (!(fullSpan > 0) || span >= fullSpan) {
+    view.t0 = view.t1 = null;
+    return;
+  }
+  t0 = Math.min(Math.max(minT, t0), maxT - span);
+  view.t0 = t0;
+  view.t1 = t0 + span;
+}
+
+export function zoomView(view, pick, atTime, factor) {
+  const [t0, t1] = pick.visible;
+  const a = atTime - (atTime - t0) * factor;
+  setRange(view, pick.full, a, a + (t1 - t0) * factor);
+}
+
+export function panView(view, pick, dt) {
+  const [t0, t1] = pick.visible;
+  setRange(view, pick.full, t0 + dt, t1 + dt);
+}
+
+export function scrollView(view, pick, rows) {
+  view.scrollRow = Math.min(pick.maxScroll, Math.max(0, (view.scrollRow || 0) + rows));
+}
+
+// Zoom to [t0, t1] with a little margin either side (e.g. to show an annotated range).
+export function focusView(view, pick, t0, t1) {
+  const margin = Math.max((t1 - t0) * 0.15, (pick.full[1] - pick.full[0]) * 0.01);
+  setRange(view, pick.full, t0 - margin, t1 + margin);
+}
+
+export function resetView(view) {
+  view.t0 = view.t1 = null;
+  view.scrollRow = 0;
+}
+
+// Wire wheel/drag/minimap navigation to a canvas once. `getPick()` returns the latest draw's
+// pick object and `onChange()` should redraw. Wheel scrolls rows, Ctrl/⌘+wheel zooms at the
+// cursor, Shift+wheel or a drag pans time, the minimap brushes the visible range, and a
+// double-click resets. A drag suppresses the click that follows it.
+export function bindWaterfallNav(canvas, view, { getPick, onChange }) {
+  const toLocal = (ev) => {
+    const rect = canvas.getBoundingClientRect();
+    const pick = getPick();
+    return { pick, x: (ev.clientX - rect.left) * pick.dpr, y: (ev.clientY - rect.top) * pick.dpr };
+  };
+  const timeAt = (pick, px) => {
+    const { left, right } = pick.plot;
+    const [t0, t1] = pick.visible;
+    return t0 + (px - left) / (right - left) * (t1 - t0);
+  };
+  const mmTimeAt = (pick, px) => {
+    const { left, right } = pick.minimap;
+    const [minT, maxT] = pick.full;
+    return minT + Math.min(1, Math.max(0, (px - left) / (right - left))) * (maxT - minT);
+  };
+  const inMinimap = (pick, x, y) => pick.minimap && y >= pick.minimap.top && y <= pick.minimap.bottom
+    && x >= pick.minimap.left && x <= pick.minimap.right;
+
+  canvas.addEventListener('wheel', (ev) => {
+    const pick = getPick();
+    if (!pick) return;
+    const { x } = toLocal(ev);
+    if (ev.ctrlKey || ev.metaKey) {
+      zoomView(view, pick, timeAt(pick, x), Math.exp(ev.deltaY * 0.002));
+    } else if (ev.shiftKey || Math.abs(ev.deltaX) > Math.abs(ev.deltaY)) {
+      const px = ev.shiftKey && !ev.deltaX ? ev.deltaY : ev.deltaX;
+      panView(view, pick, (px * pick.dpr) / (pick.plot.right - pick.plot.left) * (pick.visible[1] - pick.visible[0]));
+    } else {
+      if (!pick.maxScroll) return;
+      scrollView(view, pick, Math.sign(ev.deltaY) * Math.max(1, Math.round(Math.abs(ev.deltaY) / 40)));
+    }
+    ev.preventDefault();
+    onChange();
+  }, { passive: false });
+
+  let drag = null;
+  let suppressClick = false;
+  canvas.addEventListener('mousedown', (ev) => {
+    const pick = getPick();
+    if (!pick || ev.button !== 0) return;
+    const { x, y } = toLocal(ev);
+    suppressClick = false;
+    if (inMinimap(pick, x, y)) {
+      const t = mmTimeAt(pick, x);
+      const [t0, t1] = pick.visible;
+      // Grab the viewport to move it, or brush a new range elsewhere.
+      drag = t >= t0 && t <= t1 && view.t0 != null
+        ? { mode: 'move', x0: x, t0, t1 }
+        : { mode: 'brush', x0: x, anchor: t };
+    } else {
+      drag = { mode: 'pan', x0: x, y0: y, visible: pick.visible.slice(), scrollRow: view.scrollRow || 0, rowPx: pick.rowPx };
+    }
+    ev.preventDefault();
+  });
+
+  window.addEventListener('mousemove', (ev) => {
+    if (!drag) return;
+    const { pick, x, y } = toLocal(ev);
+    if (Math.abs(x - drag.x0) > 3 * pick.dpr) suppressClick = true;
+    if (drag.mode === 'pan') {
+      const [t0, t1] = drag.visible;
+      const dt = -(x - drag.x0) / (pick.plot.right - pick.plot.left) * (t1 - t0);
+      if (view.t0 != null) setRange(view, pick.full, t0 + dt, t1 + dt);
+      // Canvases without rows (the series charts) share the view but only pan time;
+      // scrolling there would clamp the waterfall back to its first row.
+      if (pick.maxScroll > 0 && drag.rowPx) {
+        view.scrollRow = drag.scrollRow;
+        scrollView(view, pick, -Math.round((y - drag.y0) / drag.rowPx));
+        if (Math.abs(y - drag.y0) > 3 * pick.dpr) suppressClick = true;
+      }
+    } else if (drag.mode === 'move') {
+      const dt = mmTimeAt(pick, x) - mmTimeAt(pick, drag.x0);
+      setRange(view, pick.full, drag.t0 + dt, drag.t1 + dt);
+    } else {
+      const t = mmTimeAt(pick, x);
+      if (suppressClick) setRange(view, pick.full, Math.min(drag.anchor, t), Math.max(drag.anchor, t));
+    }
+    onChange();
+  });
+
+  window.addEventListener('mouseup', (ev) => {
+    if (!drag) return;
+    const d = drag;
+    drag = null;
+    // A plain click on the minimap centers the current zoom window there.
+    if (d.mode === 'brush' && !suppressClick && view.t0 != null) {
+      const { pick, x } = toLocal(ev);
+      const half = (view.t1 - view.t0) / 2;
+      const t = mmTimeAt(pick, x);
+      setRange(view, pick.full, t - half, t + half);
+      onChange();
+    }
+  });
+
+  canvas.addEventListener('click', (ev) => {
+    if (!suppressClick) return;
+    suppressClick = false;
+    ev.stopImmediatePropagation();
+  }, true);
+
+  canvas.addEventListener('dblclick', () => {
+    resetView(view);
+    onChange();
+  });
 }
 
 export function pickAt(canvas, pick, ev) {
+  return pickRectAt(canvas, pick, ev)?.id || null;
+}
+
+// Like pickAt, but returns the whole hit rect ({ id, lane, ... }) — ids are only unique per lane.
+export function pickRectAt(canvas, pick, ev) {
   const rect = canvas.getBoundingClientRect();
   const x = (ev.clientX - rect.left) * pick.dpr;
   const y = (ev.clientY - rect.top) * pick.dpr;
-  const hit = pick.pickRects.find(r => x >= r.x && x <= (r.x + r.w) && y >= r.y && y <= (r.y + r.h));
-  return hit?.id || null;
+  return pick.pickRects.find(r => x >= r.x && x <= (r.x + r.w) && y >= r.y && y <= (r.y + r.h)) || null;
 }
 
 function roundRect(ctx, x, y, w, h, r) {
@@ -137,11 +839,37 @@ function roundRect(ctx, x, y, w, h, r) {
   ctx.closePath();
 }
 
-function fmtMs(ms) {
+// Tick labels adapt to the zoom level: finer units and more decimals for small steps.
+function fmtTick(ms, step) {
   if (!Number.isFinite(ms)) return '—';
-  if (ms < 1) return `${ms.toFixed(2)}ms`;
-  if (ms < 1000) return `${ms.toFixed(0)}ms`;
-  return `${(ms/1000).toFixed(2)}s`;
+  if (step < 0.01) return `${ms.toFixed(3)}ms`;
+  if (step < 0.1) return `${ms.toFixed(2)}ms`;
+  if (step < 1) return `${ms.toFixed(1)}ms`;
+  if (step < 1000 && Math.abs(ms) < 10000) return `${ms.toFixed(0)}ms`;
+  if (step < 100) return `${(ms/1000).toFixed(3)}s`;
+  if (step < 1000) return `${(ms/1000).toFixed(2)}s`;
+  if (Math.abs(ms) < 120000) return `${(ms/1000).toFixed(step < 10000 ? 1 : 0)}s`;
+  const m = Math.floor(ms / 60000);
+  return `${m}m${String(Math.round((ms - m * 60000) / 1000)).padStart(2, '0')}s`;
+}
+
+// Round tick positions (1/2/5 × 10^k) covering [t0, t1]. Round relative to `origin`, since
+// the axis is labelled from the session start rather than in absolute time.
+function niceTicks(t0, t1, count, origin = 0) {
+  const span = t1 - t0;
+  if (!(span > 0)) return [t0];
+  const raw = span / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw) || 10 * mag;
+  const ticks = [];
+  for (let k = Math.ceil((t0 - origin) / step); origin + k * step <= t1 + step * 1e-9; k++) ticks.push(origin + k * step);
+  return ticks;
+}
+
+function fmtSize(n) {
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  if (n >= 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${Math.round(n)} B`;
 }
 
 function nameTail(url) {